@@ -1,9 +1,516 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const Scm = require('screwdriver-scm-base');
-const async = require('async');
 const hoek = require('@hapi/hoek');
+const Joi = require('joi');
 const logger = require('screwdriver-logger');
+const {
+    AmbiguousScmContextError,
+    ScmTimeoutError,
+    ScmUnavailableError,
+    UnknownScmContextError
+} = require('./lib/errors');
+const CircuitBreaker = require('./lib/circuitBreaker');
+const { withDeadline } = require('./lib/deadline');
+const RetryPolicy = require('./lib/retryPolicy');
+const Throttle = require('./lib/throttle');
+const { getHostname, getScmContextHost, getScmContextHostname, parseHost } = require('./lib/hostname');
+const { interpolate, redact } = require('./lib/interpolate');
+const { normalizeHook, validateHook } = require('./lib/hook');
+const { compileFilters, findFilter } = require('./lib/webhookFilter');
+const MemoryDeliveryStore = require('./lib/memoryDeliveryStore');
+const {
+    getDeliveryId,
+    getWebhookHints,
+    isUnknownEvent,
+    matchesWebhookHints,
+    sanitizeHeaders
+} = require('./lib/webhook');
+const { compileRepositoryPattern, getRepositoryId, getRepositoryName } = require('./lib/repository');
+
+// methods of screwdriver-scm-base that plugins implement through their underscored counterpart
+const SCM_METHODS = Object.getOwnPropertyNames(Scm.prototype)
+    .filter(name => name.startsWith('_') && typeof Scm.prototype[name.slice(1)] === 'function')
+    .map(name => name.slice(1));
+const INTERFACE_CHECK_POLICIES = ['ignore', 'warn', 'error'];
+const AMBIGUITY_POLICIES = ['first', 'warn', 'reject'];
+const DEDUP_ACTIONS = ['skip', 'flag'];
+const VALIDATION_POLICIES = ['warn', 'reject'];
+const DEFAULT_DEDUP_TTL = 60 * 60 * 1000;
+
+const MIRROR_SCHEMA = Joi.object({
+    scmContext: Joi.string().required(),
+    repositories: Joi.object()
+        .pattern(Joi.string(), Joi.alternatives().try(Joi.string().min(1), Joi.object()))
+        .min(1)
+        .required(),
+    // the token of the primary call is for another host, so the mirror needs its own
+    token: Joi.string().required(),
+    webhooks: Joi.boolean()
+}).label('mirror');
+const MIRRORED_METHODS = ['updateCommitStatus', 'addPrComment', 'addWebhook'];
+// key of the signal of the caller in a config, ignored by the data-schema validation of screwdriver-scm-base
+const CALLER_SIGNAL = Symbol('callerSignal');
+// error codes of requests that did not reach the scm or got no answer from it
+const NETWORK_ERROR_CODES = [
+    'ECONNABORTED',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EAI_AGAIN',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENOTFOUND',
+    'EPIPE',
+    'ETIMEDOUT'
+];
+// read-only methods, safe to call again when the scm failed to answer
+const RETRIED_METHODS = [
+    'getFile',
+    'getCommitSha',
+    'getCommitRefSha',
+    'getPermissions',
+    'getOrgPermissions',
+    'getBranchList',
+    'getPrInfo',
+    'getChangedFiles',
+    'getOpenedPRs'
+];
+
+const SCM_SCHEMA = Joi.object({
+    plugin: Joi.string().invalid('router').messages({
+        'any.invalid': 'The plugin of scm-router can not be specified for scms setting'
+    }),
+    module: Joi.string(),
+    factory: Joi.func(),
+    config: Joi.object(),
+    repositories: Joi.array().items(Joi.string().min(1)).min(1),
+    mirror: MIRROR_SCHEMA,
+    priority: Joi.number().integer()
+})
+    .or('plugin', 'module', 'factory')
+    .without('mirror', 'repositories')
+    .label('scm');
+
+const SCMS_SCHEMA = Joi.alternatives().try(Joi.array().min(1), Joi.object().min(1)).required().label('scms').messages({
+    'alternatives.types': '"scms" must be a non-empty object or array'
+});
+
+/**
+ * Validate a single entry of the scms setting
+ * @method validateScmConfig
+ * @param  {Object}     scm             Scm setting
+ * @param  {String}     [scm.plugin]    Name of the scm NPM module to load
+ * @param  {String}     [scm.module]    Package name or absolute path of the scm module to load
+ * @param  {Function}   [scm.factory]   Scm class, or function returning an scm instance
+ * @param  {Object}     [scm.config]    Configuration to construct the module with
+ */
+function validateScmConfig(scm) {
+    if (!scm || typeof scm !== 'object') {
+        throw new Error('No scm config passed in.');
+    }
+    if (scm.config && typeof scm.config !== 'object') {
+        throw new Error('No scm config passed in.');
+    }
+}
+
+/**
+ * Move the signal of the caller of a public method out of the way of the validation of screwdriver-scm-base,
+ * whose schemas do not allow it, to a key that callScm reads it from
+ * @method forwardSignal
+ * @param  {Object}     config      Configuration
+ * @return {Object}                 Configuration with the signal under the CALLER_SIGNAL key
+ */
+function forwardSignal(config) {
+    if (!config || config.signal === undefined) {
+        return config;
+    }
+
+    const { signal, ...scmConfig } = config;
+
+    return { ...scmConfig, [CALLER_SIGNAL]: signal };
+}
+
+/**
+ * Get a name of the scm plugin for logging
+ * @method getPluginName
+ * @param  {Object}     spec                Scm plugin spec
+ * @param  {String}     [spec.plugin]       Name of the scm plugin
+ * @param  {String}     [spec.module]       Package name or absolute path of the scm module
+ * @param  {Function}   [spec.factory]      Scm class or factory function
+ * @param  {String}     [displayName]       Display name of the scm, for anonymous factories
+ * @return {String}
+ */
+function getPluginName({ plugin, module: moduleName, factory }, displayName) {
+    return plugin || moduleName || (factory && factory.name) || displayName || 'anonymous';
+}
+
+/**
+ * Determine whether a function is a class that needs to be called with new
+ * @method isClass
+ * @param  {Function}   fn      Function to check
+ * @return {Boolean}
+ */
+function isClass(fn) {
+    return fn.prototype instanceof Scm || /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
+
+/**
+ * Get a function constructing the scm plugin described by the spec.
+ * The factory takes precedence over the module, which takes precedence over the plugin naming convention.
+ * @method getPluginFactory
+ * @param  {Object}     spec                Scm plugin spec
+ * @param  {String}     [spec.plugin]       Name of the scm plugin, loaded as screwdriver-scm-${plugin}
+ * @param  {String}     [spec.module]       Package name or absolute path of the scm module
+ * @param  {Function}   [spec.factory]      Scm class, or function returning an scm instance
+ * @param  {String}     [displayName]       Display name of the scm
+ * @return {Function}                       Function taking the plugin options and returning an scm instance
+ */
+function getPluginFactory(spec, displayName) {
+    const { plugin, module: moduleName, factory } = spec;
+
+    if (factory !== undefined) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Scm plugin factory for ${getPluginName(spec, displayName)} is not a function`);
+        }
+
+        // eslint-disable-next-line new-cap
+        return isClass(factory) ? options => new factory(options) : options => factory(options);
+    }
+
+    let ScmPlugin;
+
+    try {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        ScmPlugin = require(moduleName || `screwdriver-scm-${plugin}`);
+    } catch (e) {
+        throw new Error(`Scm plugin ${getPluginName(spec, displayName)} is not supported`);
+    }
+
+    return options => new ScmPlugin(options);
+}
+
+/**
+ * Find the scm context served on a host
+ * @method findScmContextByHost
+ * @param  {Array}      scmContexts     Scm contexts to search
+ * @param  {String}     host            Host with optional port, which is ignored (e.g. GHE.corp:8443)
+ * @return {String}                     Scm context, or undefined when none matches
+ */
+function findScmContextByHost(scmContexts, host) {
+    const { hostname } = parseHost(host);
+
+    return scmContexts.find(scmContext => getScmContextHostname(scmContext) === hostname);
+}
+
+/**
+ * Determine which methods of screwdriver-scm-base an scm module actually implements
+ * @method getPluginCapabilities
+ * @param  {Object}     scmPlugin           scm module
+ * @return {Object}                         Map of method name to whether it is implemented (e.g. { openPr: false })
+ */
+function getPluginCapabilities(scmPlugin) {
+    return SCM_METHODS.reduce((capabilities, method) => {
+        capabilities[method] =
+            scmPlugin[method] !== Scm.prototype[method] || scmPlugin[`_${method}`] !== Scm.prototype[`_${method}`];
+
+        return capabilities;
+    }, {});
+}
+
+/**
+ * Validate the circuit breaker setting
+ * @method getCircuitBreakerConfig
+ * @param  {Object}     circuitBreaker                      Circuit breaker setting
+ * @param  {Number}     [circuitBreaker.failureThreshold]   Consecutive failures opening the breaker of an scmContext
+ * @param  {Number}     [circuitBreaker.coolDown]           Milliseconds the breaker stays open
+ * @param  {Object}     [circuitBreaker.scmContexts]        Map of scmContext to the settings overridden for it
+ * @return {Object}                                         Default options and options of each scmContext
+ */
+function getCircuitBreakerConfig(circuitBreaker) {
+    const { scmContexts = {}, ...defaults } = circuitBreaker || {};
+
+    if (!scmContexts || typeof scmContexts !== 'object' || Array.isArray(scmContexts)) {
+        throw new Error('circuitBreaker.scmContexts must be an object');
+    }
+
+    // constructing the breakers validates their options
+    [defaults, ...Object.values(scmContexts)].forEach(options => new CircuitBreaker({ ...defaults, ...options }));
+
+    return { defaults, scmContexts };
+}
+
+/**
+ * Validate the throttle setting
+ * @method getThrottleConfig
+ * @param  {Object}     throttle                    Throttle setting
+ * @param  {Number}     [throttle.concurrency]      Calls in flight at once to an scmContext, queueing the others
+ * @param  {Number}     [throttle.minRemaining]     Remaining rate-limit budget from which calls to an scmContext
+ *                                                  are paced
+ * @param  {Object}     [throttle.scmContexts]      Map of scmContext to the settings overridden for it
+ * @return {Object}                                 Default options and options of each scmContext
+ */
+function getThrottleConfig(throttle) {
+    const { scmContexts = {}, ...defaults } = throttle || {};
+
+    if (!scmContexts || typeof scmContexts !== 'object' || Array.isArray(scmContexts)) {
+        throw new Error('throttle.scmContexts must be an object');
+    }
+
+    // constructing the throttles validates their options
+    [defaults, ...Object.values(scmContexts)].forEach(options => new Throttle({ ...defaults, ...options }));
+
+    return { defaults, scmContexts };
+}
+
+/**
+ * Get the options of a method of an scmContext, from the most specific level of a setting
+ * @method getMethodOptions
+ * @param  {Object}     setting             Setting validated by getMethodSettings
+ * @param  {String}     scmContext          Name of scm context
+ * @param  {String}     method              Name of the scm method
+ * @return {Object}                         Options of the method
+ */
+function getMethodOptions(setting, scmContext, method) {
+    const { methods: contextMethods = {}, ...contextOptions } = setting.scmContexts[scmContext] || {};
+
+    return { ...setting.defaults, ...setting.methods[method], ...contextOptions, ...contextMethods[method] };
+}
+
+/**
+ * Validate the levels of a setting of scm calls: defaults, overridden per method, per scmContext,
+ * and per method of an scmContext
+ * @method getMethodSettings
+ * @param  {Object}     setting                 Setting (e.g. { retries: 2, methods: { getFile: { retries: 4 } } })
+ * @param  {String}     name                    Name of the setting
+ * @param  {Function}   checkMethods            Function throwing an error for methods the setting can not apply to,
+ *                                              called with the method names and the name of their map
+ * @return {Object}                             Default options, options of each method and of each scmContext
+ */
+function getMethodSettings(setting, name, checkMethods) {
+    const { methods = {}, scmContexts = {}, ...defaults } = setting || {};
+    const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const checkMethodMap = (value, mapName) => {
+        if (!isMap(value)) {
+            throw new Error(`${mapName} must be an object`);
+        }
+
+        checkMethods(Object.keys(value), mapName);
+    };
+
+    checkMethodMap(methods, `${name}.methods`);
+
+    if (!isMap(scmContexts)) {
+        throw new Error(`${name}.scmContexts must be an object`);
+    }
+
+    Object.keys(scmContexts).forEach(scmContext => {
+        if (!isMap(scmContexts[scmContext])) {
+            throw new Error(`${name}.scmContexts.${scmContext} must be an object`);
+        }
+
+        checkMethodMap(scmContexts[scmContext].methods || {}, `${name}.scmContexts.${scmContext}.methods`);
+    });
+
+    return { defaults, methods, scmContexts };
+}
+
+/**
+ * Validate the retry setting
+ * @method getRetryConfig
+ * @param  {Object}     retry                   Retry setting
+ * @param  {Number}     [retry.retries]         Retries of a read call the scm failed to answer
+ * @param  {Number}     [retry.minDelay]        Milliseconds the backoff of the first retry is capped to
+ * @param  {Number}     [retry.maxDelay]        Milliseconds the backoff of any retry is capped to
+ * @param  {Object}     [retry.methods]         Map of read method to the settings overridden for it
+ * @param  {Object}     [retry.scmContexts]     Map of scmContext to the settings (and methods) overridden for it
+ * @return {Object}                             Default options, options of each method and of each scmContext
+ */
+function getRetryConfig(retry) {
+    const config = getMethodSettings(retry, 'retry', (methods, mapName) => {
+        const writeMethods = methods.filter(method => !RETRIED_METHODS.includes(method));
+
+        if (writeMethods.length > 0) {
+            throw new Error(`${mapName} can only retry ${RETRIED_METHODS.join(', ')}, not ${writeMethods.join(', ')}`);
+        }
+    });
+
+    // constructing the policies validates their options
+    [undefined, ...Object.keys(config.scmContexts)].forEach(scmContext =>
+        RETRIED_METHODS.forEach(method => new RetryPolicy(getMethodOptions(config, scmContext, method)))
+    );
+
+    return config;
+}
+
+/**
+ * Validate the deadline setting
+ * @method getDeadlineConfig
+ * @param  {Object}     deadline                    Deadline setting
+ * @param  {Number}     [deadline.timeout]          Milliseconds a routed call is allowed to take, retries included
+ * @param  {Object}     [deadline.methods]          Map of method to the settings overridden for it
+ *                                                  (e.g. { getOpenedPRs: { timeout: 120000 } })
+ * @param  {Object}     [deadline.scmContexts]      Map of scmContext to the settings (and methods) overridden for it
+ * @return {Object}                                 Default options, options of each method and of each scmContext
+ */
+function getDeadlineConfig(deadline) {
+    const config = getMethodSettings(deadline, 'deadline', (methods, mapName) => {
+        const unknownMethods = methods.filter(method => !SCM_METHODS.includes(method));
+
+        if (unknownMethods.length > 0) {
+            throw new Error(`${mapName} has unknown methods: ${unknownMethods.join(', ')}`);
+        }
+    });
+
+    [undefined, ...Object.keys(config.scmContexts)].forEach(scmContext =>
+        SCM_METHODS.forEach(method => {
+            const { timeout } = getMethodOptions(config, scmContext, method);
+
+            if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 1)) {
+                throw new Error('deadline.timeout must be a positive number of milliseconds');
+            }
+        })
+    );
+
+    return config;
+}
+
+/**
+ * Get the http status code of an error of an scm call
+ * @method getStatusCode
+ * @param  {Error}      err     Error of an scm call
+ * @return {Number}             Status code, or undefined when the scm did not answer
+ */
+function getStatusCode(err) {
+    return err ? err.statusCode || err.status : undefined;
+}
+
+/**
+ * Determine whether an error means that the scm failed to answer, rather than refused the call or the plugin
+ * rejected it before any request (e.g. a Joi validation error)
+ * @method isScmFailure
+ * @param  {Error}      err     Error of an scm call
+ * @return {Boolean}            true for 5xx errors and network errors
+ */
+function isScmFailure(err) {
+    if (!err || err.isJoi) {
+        return false;
+    }
+
+    const statusCode = getStatusCode(err);
+
+    return statusCode ? statusCode >= 500 : NETWORK_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * Record an error of an scm call on the circuit breaker of its scmContext
+ * @method recordScmError
+ * @param  {CircuitBreaker} breaker     Circuit breaker
+ * @param  {Error}          err         Error of the scm call
+ */
+function recordScmError(breaker, err) {
+    if (isScmFailure(err)) {
+        breaker.recordFailure();
+    } else if (getStatusCode(err)) {
+        // the scm answered
+        breaker.recordSuccess();
+    } else {
+        breaker.release();
+    }
+}
+
+/**
+ * Validate the webhook deduplication setting and apply its defaults
+ * @method getDedupConfig
+ * @param  {Object}     dedup               Deduplication of redelivered webhooks
+ * @param  {Number}     [dedup.ttl]         Time in milliseconds to remember deliveries for (default 1 hour)
+ * @param  {String}     [dedup.action]      What to do with a duplicate: skip (default, resolves null) or
+ *                                          flag (parses it with duplicate: true)
+ * @param  {Object}     [dedup.store]       Store with add(deliveryId, ttl) and delete(deliveryId) methods,
+ *                                          defaults to a MemoryDeliveryStore
+ * @param  {Number}     [dedup.maxSize]     Maximum number of deliveries remembered by the default store
+ * @return {Object}                         Deduplication config
+ */
+function getDedupConfig(dedup) {
+    const { ttl = DEFAULT_DEDUP_TTL, action = 'skip', store, maxSize } = dedup || {};
+
+    if (!Number.isInteger(ttl) || ttl < 1) {
+        throw new Error('webhooks.dedup.ttl must be a positive number of milliseconds');
+    }
+
+    if (!DEDUP_ACTIONS.includes(action)) {
+        throw new Error(`webhooks.dedup.action must be one of ${DEDUP_ACTIONS.join(', ')}`);
+    }
+
+    if (store !== undefined && (!store || typeof store.add !== 'function' || typeof store.delete !== 'function')) {
+        throw new Error('webhooks.dedup.store must implement add and delete');
+    }
+
+    return { ttl, action, store: store || new MemoryDeliveryStore({ maxSize }) };
+}
+
+/**
+ * Validate the webhook recorder setting and apply its defaults
+ * @method getRecordConfig
+ * @param  {Object}     record                  Recording of webhooks
+ * @param  {String}     record.directory        Directory to write the recordings to
+ * @param  {Array}      [record.redactHeaders]  Additional headers to redact from the recordings
+ * @return {Object}                             Recorder config
+ */
+function getRecordConfig(record) {
+    const { directory, redactHeaders = [] } = record || {};
+
+    if (!directory || typeof directory !== 'string') {
+        throw new Error('webhooks.record.directory must be a path');
+    }
+
+    if (!Array.isArray(redactHeaders) || redactHeaders.some(header => !header || typeof header !== 'string')) {
+        throw new Error('webhooks.record.redactHeaders must be an array of header names');
+    }
+
+    return { directory, redactHeaders };
+}
+
+/**
+ * Validate the webhooks setting and apply its defaults
+ * @method getWebhooksConfig
+ * @param  {Object}     [webhooks]                  Webhooks setting
+ * @param  {Array}      [webhooks.hostHeaders]      Additional headers naming the host that sent a webhook
+ * @param  {String}     [webhooks.ambiguity]        Policy for webhooks handled by several scms
+ * @param  {String}     [webhooks.validation]       What to do with parseHook results not matching the shared schema:
+ *                                                  reject (default) or warn
+ * @param  {Array}      [webhooks.filters]          Rules skipping the webhooks whose parseHook result they match
+ * @param  {Object}     [webhooks.dedup]            Deduplication of redelivered webhooks (see getDedupConfig),
+ *                                                  disabled when not set
+ * @param  {Object}     [webhooks.record]           Recording of webhooks (see getRecordConfig), disabled when not set
+ * @return {Object}                                 Webhooks config
+ */
+function getWebhooksConfig(webhooks = {}) {
+    const { hostHeaders = [], ambiguity = 'warn', validation = 'reject', filters = [], dedup, record } = webhooks;
+
+    if (!Array.isArray(hostHeaders) || hostHeaders.some(header => !header || typeof header !== 'string')) {
+        throw new Error('webhooks.hostHeaders must be an array of header names');
+    }
+
+    if (!AMBIGUITY_POLICIES.includes(ambiguity)) {
+        throw new Error(`webhooks.ambiguity must be one of ${AMBIGUITY_POLICIES.join(', ')}`);
+    }
+
+    if (!VALIDATION_POLICIES.includes(validation)) {
+        throw new Error(`webhooks.validation must be one of ${VALIDATION_POLICIES.join(', ')}`);
+    }
+
+    return {
+        hostHeaders,
+        ambiguity,
+        validation,
+        filters: compileFilters(filters),
+        dedup: dedup === undefined ? undefined : getDedupConfig(dedup),
+        record: record === undefined ? undefined : getRecordConfig(record)
+    };
+}
 
 class ScmRouter extends Scm {
     /**
@@ -11,141 +518,1427 @@ class ScmRouter extends Scm {
      * @method constructor
      * @param  {Object}         config                             Object with scms
      * @param  {Array}          config.scms                        Array of scms to load
-     * @param  {String}         config.scms[x].plugin              Name of the scm NPM module to load
+     * @param  {String}         [config.scms[x].plugin]            Name of the scm NPM module to load
+     * @param  {String}         [config.scms[x].module]            Package name or absolute path of the scm module to load
+     * @param  {Function}       [config.scms[x].factory]           Scm class, or function returning an scm instance
      * @param  {String}         config.scms[x].config              Configuration to construct the module with
+     * @param  {Array}          [config.scms[x].repositories]      Repository globs (e.g. bu-a/*) routed to this module
+     *                                                             instead of the default module of its scmContexts
+     * @param  {Object}         [config.scms[x].mirror]            Secondary scmContext that commit statuses, PR comments
+     *                                                             and optionally webhooks are also sent to
+     * @param  {Number}         [config.scms[x].priority=0]        Webhooks handled by several scms go to the one with the
+     *                                                             highest priority, then the first one in config order
+     * @param  {Boolean}        [config.strict=false]              Throw one error listing every problem of the scms
+     *                                                             setting instead of skipping the broken scms
+     * @param  {Object}         [config.interfaceCheck]            Check of the scm-base methods implemented by plugins
+     * @param  {String}         [config.interfaceCheck.policy]     What to do when a plugin misses a method: ignore, warn
+     *                                                             (default) or error (the plugin is not loaded)
+     * @param  {Array}          [config.interfaceCheck.methods]    Methods to check, defaults to all scm-base methods
+     * @param  {Object}         [config.circuitBreaker]            Circuit breaker of each scmContext, failing calls fast
+     *                                                             while the scm is down (see getCircuitBreakerConfig)
+     * @param  {Object}         [config.retry]                     Retries with backoff of read calls the scm failed to
+     *                                                             answer (see getRetryConfig)
+     * @param  {Object}         [config.deadline]                  Timeout of routed calls, per method and scmContext
+     *                                                             (see getDeadlineConfig)
+     * @param  {Object}         [config.throttle]                  Concurrency limit and rate-limit pacing of the calls
+     *                                                             to each scmContext (see getThrottleConfig)
+     * @param  {Object}         [config.aliases]                   Map of legacy scmContext to registered scmContext
+     *                                                             (e.g. { 'github:ghe-old.corp': 'github:ghe.corp' })
+     * @param  {Object}         [config.webhooks]                  Webhook settings
+     * @param  {Array}          [config.webhooks.hostHeaders]      Additional headers naming the host that sent a webhook
+     *                                                             (e.g. set by a proxy), to narrow the scms probed
+     * @param  {String}         [config.webhooks.ambiguity]        What to do when several scms can handle a webhook: first
+     *                                                             (pick by priority), warn (default, pick and log) or
+     *                                                             reject
+     * @param  {Object}         [config.webhooks.dedup]            Deduplication of redelivered webhooks (see
+     *                                                             getDedupConfig)
+     * @param  {String}         [config.webhooks.validation]       What to do with parseHook results not matching the
+     *                                                             shared schema: reject (default) or warn
+     * @param  {Array}          [config.webhooks.filters]          Rules skipping webhooks by scmContext, type, action,
+     *                                                             branch, repository or username globs
+     *                                                             (e.g. [{ name: 'bots', username: '*[bot]' }])
+     * @param  {Object}         [config.webhooks.record]           Directory to record webhooks to, for replayWebhook
+     *                                                             (see getRecordConfig)
      * @return {ScmRouter}
      */
     constructor(config = {}) {
         const scmsConfig = config.scms;
+        const interfaceCheck = config.interfaceCheck || {};
 
         super();
 
-        this.scms = {};
+        if (interfaceCheck.policy !== undefined && !INTERFACE_CHECK_POLICIES.includes(interfaceCheck.policy)) {
+            throw new Error(`interfaceCheck.policy must be one of ${INTERFACE_CHECK_POLICIES.join(', ')}`);
+        }
 
-        if (typeof scmsConfig === 'object') {
+        this.scms = {};
+        this.strict = Boolean(config.strict);
+        this.interfaceCheck = {
+            policy: interfaceCheck.policy || 'warn',
+            methods: interfaceCheck.methods || SCM_METHODS
+        };
+        this.webhooks = getWebhooksConfig(config.webhooks);
+        this.circuitBreaker =
+            config.circuitBreaker === undefined ? undefined : getCircuitBreakerConfig(config.circuitBreaker);
+        this.circuitBreakers = {};
+        this.retry = config.retry === undefined ? undefined : getRetryConfig(config.retry);
+        this.retries = {};
+        this.deadline = config.deadline === undefined ? undefined : getDeadlineConfig(config.deadline);
+        this.throttle = config.throttle === undefined ? undefined : getThrottleConfig(config.throttle);
+        this.throttles = {};
+        this.capabilities = new Map();
+        this.priorities = new Map();
+        this.secrets = new Set();
+        this.removedScmContexts = new Set();
+        this.pendingCalls = new Map();
+        this.initializations = new Map();
+        this.aliases = {};
+        this.aliasUsage = {};
+        this.repositoryRoutes = {};
+        this.repositoryNames = new Map();
+        this.mirrors = {};
+        this.ambiguousWebhooks = {};
+        this.duplicateWebhooks = 0;
+        this.skippedWebhooks = {};
+
+        const errors = [];
+
+        if (this.strict) {
+            errors.push(...this.loadScmsStrictly(scmsConfig));
+        } else if (typeof scmsConfig === 'object') {
             Object.keys(scmsConfig).forEach(displayName => {
                 const scm = scmsConfig[displayName];
 
-                if (typeof scm !== 'object') {
-                    throw new Error('No scm config passed in.');
-                }
-                if (scm.config && typeof scm.config !== 'object') {
-                    throw new Error('No scm config passed in.');
-                }
+                validateScmConfig(scm);
 
                 const options = hoek.applyToDefaults({ displayName }, scm.config); // Add displayName to scm options
 
-                this.loadPlugin(scm.plugin, options);
+                this.loadPlugin(scm, options);
             });
         }
 
+        errors.push(...this.checkRepositoryRoutes());
+        errors.push(...this.checkMirrors());
+        errors.push(...this.loadAliases(config.aliases));
+
+        if (this.strict && errors.length > 0) {
+            const err = new Error(
+                this.redact(`Invalid scms config:\n${errors.map(message => `  - ${message}`).join('\n')}`)
+            );
+
+            err.errors = errors;
+
+            throw err;
+        }
+
+        errors.forEach(message => logger.warn(this.redact(message)));
+
         if (Object.keys(this.scms).length === 0) {
             throw new Error('No scm config passed in.');
         }
     }
 
+    /**
+     * Validate the whole scms setting and register all scm modules, collecting every problem found
+     * @method loadScmsStrictly
+     * @param  {Object|Array}   scmsConfig               scms setting
+     * @return {Array}                                   problems found
+     */
+    loadScmsStrictly(scmsConfig) {
+        const errors = [];
+        const scmsResult = SCMS_SCHEMA.validate(scmsConfig);
+
+        if (scmsResult.error) {
+            errors.push(scmsResult.error.message);
+        } else {
+            Object.keys(scmsConfig).forEach(displayName => {
+                const scm = scmsConfig[displayName];
+                const { error } = SCM_SCHEMA.validate(scm, {
+                    abortEarly: false
+                });
+
+                if (error) {
+                    error.details.forEach(detail => errors.push(`${displayName}: ${detail.message}`));
+
+                    return;
+                }
+
+                try {
+                    this.registerPlugin(scm, hoek.applyToDefaults({ displayName }, scm.config));
+                } catch (err) {
+                    errors.push(`${displayName}: ${err.message}`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Remove the repository routes of scmContexts that have no default scm module
+     * @method checkRepositoryRoutes
+     * @return {Array}                                   problems found
+     */
+    checkRepositoryRoutes() {
+        return Object.keys(this.repositoryRoutes)
+            .filter(scmContext => !this.scms[scmContext])
+            .map(scmContext => {
+                const displayNames = this.repositoryRoutes[scmContext].map(route => route.displayName);
+
+                delete this.repositoryRoutes[scmContext];
+
+                return `Repository routes ${displayNames.join(', ')} have no default scm for ${scmContext}`;
+            });
+    }
+
+    /**
+     * Remove the mirrors to scmContexts that are not registered
+     * @method checkMirrors
+     * @return {Array}                                   problems found
+     */
+    checkMirrors() {
+        return Object.keys(this.mirrors)
+            .filter(scmContext => !this.scms[this.mirrors[scmContext].scmContext])
+            .map(scmContext => {
+                const mirror = this.mirrors[scmContext];
+
+                delete this.mirrors[scmContext];
+
+                return `Mirror of ${mirror.displayName} points to unknown scmContext ${mirror.scmContext}`;
+            });
+    }
+
+    /**
+     * Register aliases of legacy scmContexts, skipping the invalid ones
+     * @method loadAliases
+     * @param  {Object}         [aliases]                Map of legacy scmContext to registered scmContext
+     * @return {Array}                                   problems found
+     */
+    loadAliases(aliases) {
+        if (aliases === undefined) {
+            return [];
+        }
+
+        if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+            return ['"aliases" must be an object'];
+        }
+
+        const errors = [];
+
+        Object.keys(aliases).forEach(alias => {
+            const scmContext = aliases[alias];
+
+            if (this.scms[alias]) {
+                errors.push(`Alias ${alias} is already a registered scmContext`);
+            } else if (typeof scmContext !== 'string' || !this.scms[scmContext]) {
+                errors.push(`Alias ${alias} refers to unregistered scmContext ${scmContext}`);
+            } else {
+                this.aliases[alias] = scmContext;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Resolve an alias of a legacy scmContext to the registered scmContext,
+     * logging and counting each use of the alias
+     * @method resolveScmContext
+     * @param  {String}         scmContext               Name of scm context
+     * @return {String}                                  Registered scm context, or the given one if it is no alias
+     */
+    resolveScmContext(scmContext) {
+        if (this.scms[scmContext] || !Object.prototype.hasOwnProperty.call(this.aliases, scmContext)) {
+            return scmContext;
+        }
+
+        const resolved = this.aliases[scmContext];
+
+        this.aliasUsage[scmContext] = (this.aliasUsage[scmContext] || 0) + 1;
+        logger.warn(`Scm context ${scmContext} is deprecated, use ${resolved} instead`);
+
+        return resolved;
+    }
+
+    /**
+     * Get the scm module of scmContext, resolving aliases
+     * @method getScm
+     * @param  {String}         scmContext               Name of scm context
+     * @return {Object}                                  scm module
+     */
+    getScm(scmContext) {
+        const resolved = this.resolveScmContext(scmContext);
+        const scm = this.scms[resolved];
+
+        if (!scm) {
+            throw this.createUnknownScmContextError(resolved);
+        }
+
+        return scm;
+    }
+
+    /**
+     * Create the error for an scmContext that no registered scm module serves
+     * @method createUnknownScmContextError
+     * @param  {String}         scmContext               Name of scm context
+     * @return {UnknownScmContextError}
+     */
+    createUnknownScmContextError(scmContext) {
+        const scmContexts = Object.keys(this.scms);
+        const message = this.removedScmContexts.has(scmContext)
+            ? `Scm context ${scmContext} has been removed. Known scmContexts: ${scmContexts.join(', ') || 'none'}`
+            : undefined;
+
+        return new UnknownScmContextError(scmContext, scmContexts, message);
+    }
+
+    /**
+     * Infer the scmContext from the host of the checkoutUrl or scmUri
+     * @method inferScmContext
+     * @param  {Object}         config                   Configuration
+     * @param  {String}         [config.checkoutUrl]     Checkout url (e.g. git@ghe.corp:org/repo.git)
+     * @param  {String}         [config.scmUri]          Scm uri (e.g. ghe.corp:12345:main)
+     * @return {String}                                  Registered scm context, or undefined when no scm matches
+     */
+    inferScmContext(config) {
+        const hostname = getHostname(config.checkoutUrl) || getHostname(config.scmUri);
+
+        if (!hostname) {
+            return undefined;
+        }
+
+        const matchesHostname = scmContext => getScmContextHostname(scmContext) === hostname;
+        const scmContexts = Object.keys(this.scms).filter(matchesHostname);
+
+        if (scmContexts.length > 1) {
+            throw new AmbiguousScmContextError(hostname, scmContexts);
+        }
+
+        if (scmContexts.length === 1) {
+            return scmContexts[0];
+        }
+
+        const alias = Object.keys(this.aliases).find(matchesHostname);
+
+        return alias && this.resolveScmContext(alias);
+    }
+
+    /**
+     * Get the config with the registered scmContext, resolving an alias of a legacy scmContext,
+     * or inferring it from the checkoutUrl or scmUri when the config has none
+     * @method resolveConfig
+     * @param  {Object}         config                   Configuration
+     * @param  {String}         [config.scmContext]      Name of scm context
+     * @return {Object}                                  Configuration with the registered scm context
+     */
+    resolveConfig(config) {
+        if (!config) {
+            return config;
+        }
+
+        const scmContext =
+            typeof config.scmContext === 'string'
+                ? this.resolveScmContext(config.scmContext)
+                : this.inferScmContext(config);
+
+        return !scmContext || scmContext === config.scmContext ? config : { ...config, scmContext };
+    }
+
+    /**
+     * Construct scm module and register it with every scmContext it returns.
+     * An scmContext already registered by another module is skipped with a warning,
+     * unless none of the scmContexts can be registered or the router is in strict mode.
+     * @method registerPlugin
+     * @param  {String|Object}  plugin                   load plugin name, or scm plugin spec
+     * @param  {String}         [plugin.plugin]          Name of the scm NPM module to load
+     * @param  {String}         [plugin.module]          Package name or absolute path of the scm module to load
+     * @param  {Function}       [plugin.factory]         Scm class, or function returning an scm instance
+     * @param  {Array}          [plugin.repositories]    Repository globs the module is dedicated to, instead of being
+     *                                                   the default module of its scmContexts
+     * @param  {Object}         [plugin.mirror]          Secondary scmContext that write calls are also sent to
+     * @param  {Number}         [plugin.priority]        Priority of the module for webhooks handled by several modules
+     * @param  {Object}         options                  settings for scm module, where ${env:NAME} and ${file:/path}
+     *                                                   references are resolved before constructing it
+     * @return {Array}                                   registered scmContexts
+     */
+    registerPlugin(plugin, options) {
+        const spec = typeof plugin === 'object' && plugin !== null ? plugin : { plugin };
+        const displayName = (options && options.displayName) || getPluginName(spec);
+        const mirror = this.resolveMirror(spec, displayName);
+
+        if (spec.priority !== undefined && !Number.isInteger(spec.priority)) {
+            throw new Error(`Priority of ${displayName} must be an integer`);
+        }
+
+        const { scmPlugin, scmContexts, capabilities } = this.constructPlugin(spec, options);
+
+        if (spec.repositories !== undefined) {
+            return this.registerRepositoryRoutes(
+                { scmPlugin, scmContexts, capabilities, priority: spec.priority },
+                spec.repositories,
+                displayName
+            );
+        }
+
+        const duplicates = scmContexts.filter(scmContext => typeof this.scms[scmContext] === 'object');
+
+        if (duplicates.length === scmContexts.length || (this.strict && duplicates.length > 0)) {
+            throw new Error(`Duplicate scm config for ${duplicates.join(', ')}`);
+        }
+
+        duplicates.forEach(scmContext => logger.warn(`Duplicate scm config for ${scmContext}`));
+
+        const registered = scmContexts.filter(scmContext => !duplicates.includes(scmContext));
+
+        registered.forEach(scmContext => {
+            this.scms[scmContext] = scmPlugin;
+            this.removedScmContexts.delete(scmContext);
+
+            if (mirror) {
+                this.mirrors[scmContext] = { ...mirror, succeeded: 0, failed: 0 };
+            }
+        });
+
+        this.capabilities.set(scmPlugin, capabilities);
+        this.priorities.set(scmPlugin, spec.priority || 0);
+        this.initPlugin(scmPlugin);
+
+        return registered;
+    }
+
+    /**
+     * Validate the mirror setting of an scm plugin spec and resolve its ${env:NAME} and ${file:/path} references
+     * @method resolveMirror
+     * @param  {Object}         spec                     scm plugin spec (see registerPlugin)
+     * @param  {String}         displayName              Display name of the scm module
+     * @return {Object}                                  mirror setting, or undefined when there is none
+     */
+    resolveMirror(spec, displayName) {
+        if (spec.mirror === undefined) {
+            return undefined;
+        }
+
+        if (spec.repositories !== undefined) {
+            throw new Error(`Mirror of ${displayName} can not be combined with repositories`);
+        }
+
+        const { error } = MIRROR_SCHEMA.validate(spec.mirror);
+
+        if (error) {
+            throw new Error(`Invalid mirror of ${displayName}: ${error.message}`);
+        }
+
+        return { ...interpolate(spec.mirror, this.secrets, `${displayName}.mirror`), displayName };
+    }
+
+    /**
+     * Construct scm module, checking its scmContexts and the scm-base methods it implements
+     * @method constructPlugin
+     * @param  {Object}         spec                     scm plugin spec (see registerPlugin)
+     * @param  {Object}         options                  settings for scm module, where ${env:NAME} and ${file:/path}
+     *                                                   references are resolved before constructing it
+     * @return {Object}                                  scm module with its scmContexts and capabilities
+     */
+    constructPlugin(spec, options) {
+        const displayName = options && options.displayName;
+        const pluginName = getPluginName(spec, displayName);
+
+        if (
+            spec.plugin === 'router' ||
+            spec.module === 'screwdriver-scm-router' ||
+            spec.factory === ScmRouter ||
+            (typeof spec.factory === 'function' && spec.factory.prototype instanceof ScmRouter)
+        ) {
+            throw new Error('The plugin of scm-router can not be specified for scms setting');
+        }
+
+        const resolvedOptions = interpolate(options, this.secrets, `${displayName || 'scm'}.config`);
+        const scmPlugin = getPluginFactory(spec, displayName)(resolvedOptions);
+
+        if (scmPlugin instanceof ScmRouter) {
+            throw new Error('The plugin of scm-router can not be specified for scms setting');
+        }
+
+        const scmContexts = scmPlugin.getScmContexts();
+
+        if (
+            !Array.isArray(scmContexts) ||
+            scmContexts.length === 0 ||
+            scmContexts.some(scmContext => !scmContext || typeof scmContext !== 'string')
+        ) {
+            throw new Error(`Illegal scmContext for ${pluginName} scm plugin`);
+        }
+
+        const capabilities = getPluginCapabilities(scmPlugin);
+        const missingMethods = this.interfaceCheck.methods.filter(method => !capabilities[method]);
+
+        if (missingMethods.length > 0 && this.interfaceCheck.policy !== 'ignore') {
+            const message = `Scm plugin ${pluginName} does not implement ${missingMethods.join(', ')}`;
+
+            if (this.interfaceCheck.policy === 'error') {
+                throw new Error(message);
+            }
+
+            logger.warn(this.redact(message));
+        }
+
+        return { scmPlugin, scmContexts, capabilities };
+    }
+
+    /**
+     * Register an scm module serving only the repositories matching the globs of its scmContexts
+     * @method registerRepositoryRoutes
+     * @param  {Object}         plugin                   scm module constructed by constructPlugin
+     * @param  {Object}         plugin.scmPlugin         scm module
+     * @param  {Array}          plugin.scmContexts       scmContexts of the scm module
+     * @param  {Object}         plugin.capabilities      scm-base methods implemented by the scm module
+     * @param  {Number}         [plugin.priority]        Priority of the scm module for webhooks
+     * @param  {Array}          repositories             Repository globs (e.g. bu-a/*)
+     * @param  {String}         displayName              Display name of the scm module
+     * @return {Array}                                   scmContexts the scm module was registered for
+     */
+    registerRepositoryRoutes({ scmPlugin, scmContexts, capabilities, priority }, repositories, displayName) {
+        if (
+            !Array.isArray(repositories) ||
+            repositories.length === 0 ||
+            repositories.some(glob => !glob || typeof glob !== 'string')
+        ) {
+            throw new Error(`Repositories of ${displayName} must be a non-empty array of globs`);
+        }
+
+        const patterns = repositories.map(compileRepositoryPattern);
+
+        scmContexts.forEach(scmContext => {
+            this.repositoryRoutes[scmContext] = this.repositoryRoutes[scmContext] || [];
+            this.repositoryRoutes[scmContext].push({ displayName, repositories, patterns, scm: scmPlugin });
+        });
+
+        this.capabilities.set(scmPlugin, capabilities);
+        this.priorities.set(scmPlugin, priority || 0);
+        this.initPlugin(scmPlugin);
+
+        return scmContexts;
+    }
+
+    /**
+     * Get the name of the repository an scmUri refers to from the default scm module of the scmContext, looked up
+     * once per repository id. Failed lookups are logged and tried again on the next call.
+     * @async  resolveRepositoryName
+     * @param  {String}         scmContext               Name of scm context
+     * @param  {Object}         config                   Configuration
+     * @param  {String}         config.scmUri            Scm uri (e.g. github.com:12345:main)
+     * @param  {String}         config.token             Token to look the repository up with
+     * @return {Promise}                                 Resolves with the repository name, or undefined when unknown
+     */
+    async resolveRepositoryName(scmContext, { scmUri, token }) {
+        const id = getRepositoryId({ scmUri });
+        const scm = this.scms[scmContext];
+
+        if (!id || !token || !scm) {
+            return undefined;
+        }
+
+        if (!this.repositoryNames.has(scmContext)) {
+            this.repositoryNames.set(scmContext, new Map());
+        }
+
+        const names = this.repositoryNames.get(scmContext);
+
+        if (!names.has(id)) {
+            names.set(
+                id,
+                Promise.resolve()
+                    .then(() => scm.decorateUrl({ scmUri, scmContext, token }))
+                    .then(({ name } = {}) => (typeof name === 'string' && name ? name : undefined))
+                    .catch(err => {
+                        names.delete(id);
+                        logger.warn(
+                            this.redact(
+                                `Failed to look up the repository of ${scmUri} in ${scmContext}: ${err.message}`
+                            )
+                        );
+
+                        return undefined;
+                    })
+            );
+        }
+
+        return names.get(id);
+    }
+
+    /**
+     * Get the scm module dedicated to the repository of the config, if any
+     * @async  routeRepository
+     * @param  {String}         scmContext               Name of scm context
+     * @param  {Object}         config                   Configuration with scmRepo, checkoutUrl or scmUri, whose
+     *                                                   repository name is looked up from the default scm module
+     * @return {Promise}                                 Resolves with the scm module, or undefined when the default one
+     *                                                   serves the repository
+     */
+    async routeRepository(scmContext, config) {
+        const routes = this.repositoryRoutes[scmContext];
+
+        if (!routes) {
+            return undefined;
+        }
+
+        const name = getRepositoryName(config) || (await this.resolveRepositoryName(scmContext, config || {}));
+
+        if (!name) {
+            return undefined;
+        }
+
+        const route = routes.find(({ patterns }) => patterns.some(pattern => pattern.test(name)));
+
+        return route && route.scm;
+    }
+
+    /**
+     * Get the scm modules dedicated to repositories
+     * @method getRoutedPlugins
+     * @return {Array}                                   scm modules
+     */
+    getRoutedPlugins() {
+        const plugins = new Set();
+
+        Object.values(this.repositoryRoutes).forEach(routes => routes.forEach(({ scm }) => plugins.add(scm)));
+
+        return Array.from(plugins);
+    }
+
+    /**
+     * Determine whether an scm module is still registered, as default or dedicated to repositories
+     * @method isRegistered
+     * @param  {Object}         scm                      scm module
+     * @return {Boolean}
+     */
+    isRegistered(scm) {
+        return this.getPlugins().includes(scm) || this.getRoutedPlugins().includes(scm);
+    }
+
+    /**
+     * Determine whether an scm module still serves an scmContext, as default or dedicated to repositories
+     * @method servesScmContext
+     * @param  {Object}         scm                      scm module
+     * @param  {String}         scmContext               Name of scm context
+     * @return {Boolean}
+     */
+    servesScmContext(scm, scmContext) {
+        return (
+            this.scms[scmContext] === scm || (this.repositoryRoutes[scmContext] || []).some(route => route.scm === scm)
+        );
+    }
+
+    /**
+     * Start the optional async initialization of an scm module, only once per module
+     * @method initPlugin
+     * @param  {Object}         scmPlugin                scm module
+     * @return {Promise}                                 Resolves with the initialization error, or null on success
+     */
+    initPlugin(scmPlugin) {
+        if (!this.initializations.has(scmPlugin)) {
+            const init = typeof scmPlugin.init === 'function' ? Promise.resolve().then(() => scmPlugin.init()) : null;
+
+            this.initializations.set(
+                scmPlugin,
+                Promise.resolve(init).then(
+                    () => null,
+                    err => {
+                        logger.error(
+                            this.redact(`Failed to initialize scm plugin ${scmPlugin.getDisplayName()}: ${err.message}`)
+                        );
+
+                        return err;
+                    }
+                )
+            );
+        }
+
+        return this.initializations.get(scmPlugin);
+    }
+
+    /**
+     * Wait for all scm modules to be initialized, including the ones dedicated to repositories
+     * @async  ready
+     * @return {Promise}                                 Resolves with the initialized scmContexts and the scmContexts
+     *                                                   that failed with their error, with the display name of the
+     *                                                   failed scm modules dedicated to repositories (e.g. {
+     *                                                       "initialized": ['github:github.com'],
+     *                                                       "failed": [
+     *                                                           { scmContext: 'gitlab:gitlab.com', error },
+     *                                                           { scmContext: 'github:github.com',
+     *                                                             displayName: 'githubBu', error }
+     *                                                       ]
+     *                                                   })
+     */
+    async ready() {
+        const scmContexts = Object.keys(this.scms);
+        const errors = await Promise.all(scmContexts.map(scmContext => this.initPlugin(this.scms[scmContext])));
+        const routes = scmContexts.flatMap(scmContext =>
+            (this.repositoryRoutes[scmContext] || []).map(({ displayName, scm }) => ({ scmContext, displayName, scm }))
+        );
+        const routeErrors = await Promise.all(routes.map(({ scm }) => this.initPlugin(scm)));
+        const result = { initialized: [], failed: [] };
+
+        scmContexts.forEach((scmContext, i) => {
+            if (errors[i]) {
+                result.failed.push({ scmContext, error: errors[i] });
+            } else {
+                result.initialized.push(scmContext);
+            }
+        });
+
+        routes.forEach(({ scmContext, displayName }, i) => {
+            if (routeErrors[i]) {
+                result.failed.push({ scmContext, displayName, error: routeErrors[i] });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Get the registered scm modules that were initialized successfully
+     * @async  getReadyPlugins
+     * @param  {Array}          [plugins]                scm modules to check, defaults to the default scm modules
+     * @return {Promise}                                 scm modules
+     */
+    async getReadyPlugins(plugins = this.getPlugins()) {
+        const errors = await Promise.all(plugins.map(scm => this.initPlugin(scm)));
+
+        return plugins.filter((scm, i) => !errors[i]);
+    }
+
+    /**
+     * Remove the values resolved from ${env:NAME} and ${file:/path} references from a log message
+     * @method redact
+     * @param  {String}         message                  message to be logged
+     * @return {String}                                  message without secrets
+     */
+    redact(message) {
+        return redact(message, this.secrets);
+    }
+
+    /**
+     * Get the registered scm modules, each module only once even if it has multiple scmContexts
+     * @method getPlugins
+     * @return {Array}                                   scm modules
+     */
+    getPlugins() {
+        return Array.from(new Set(Object.values(this.scms)));
+    }
+
     /**
      * load scm module
      * @method loadPlugin
-     * @param  {String}         plugin                   load plugin name
+     * @param  {String|Object}  plugin                   load plugin name, or scm plugin spec (see registerPlugin)
      * @param  {Object}         options                  settings for scm module
+     * @return {Array}                                   registered scmContexts, empty when skipped
      */
     loadPlugin(plugin, options) {
-        if (plugin === 'router') {
-            logger.warn('The plugin of scm-router can not be specified for scms setting');
+        try {
+            return this.registerPlugin(plugin, options);
+        } catch (err) {
+            logger.warn(this.redact(err.message));
 
-            return;
+            return [];
         }
+    }
 
-        let ScmPlugin;
+    /**
+     * Unregister an scm module added at runtime that can not serve its scmContexts,
+     * as their default module or through repository routes
+     * @method unregisterPlugin
+     * @param  {Object}     scmPlugin           scm module
+     * @param  {Array}      scmContexts         scmContexts the module was registered with
+     */
+    unregisterPlugin(scmPlugin, scmContexts) {
+        scmContexts.forEach(scmContext => {
+            if (this.scms[scmContext] === scmPlugin) {
+                delete this.scms[scmContext];
+                delete this.mirrors[scmContext];
+                this.repositoryNames.delete(scmContext);
+            }
 
-        try {
-            // eslint-disable-next-line global-require, import/no-dynamic-require
-            ScmPlugin = require(`screwdriver-scm-${plugin}`);
-        } catch (e) {
-            logger.warn(`Scm plugin ${plugin} is not supported`);
+            const routes = (this.repositoryRoutes[scmContext] || []).filter(route => route.scm !== scmPlugin);
 
-            return;
+            if (routes.length > 0) {
+                this.repositoryRoutes[scmContext] = routes;
+            } else {
+                delete this.repositoryRoutes[scmContext];
+            }
+        });
+
+        this.initializations.delete(scmPlugin);
+        this.capabilities.delete(scmPlugin);
+        this.priorities.delete(scmPlugin);
+    }
+
+    /**
+     * Add an scm module at runtime
+     * @async  addScm
+     * @param  {String}     displayName         Display name of the scm
+     * @param  {Object}     scm                 Scm setting
+     * @param  {String}     [scm.plugin]        Name of the scm NPM module to load
+     * @param  {String}     [scm.module]        Package name or absolute path of the scm module to load
+     * @param  {Function}   [scm.factory]       Scm class, or function returning an scm instance
+     * @param  {Object}     [scm.config]        Configuration to construct the module with
+     * @param  {Array}      [scm.repositories]  Repository globs routed to this module instead of the default module
+     *                                          of its scmContexts, which must already be registered
+     * @return {Promise}                        Resolves with the registered scmContexts once the scm is initialized
+     */
+    async addScm(displayName, scm) {
+        validateScmConfig(scm);
+
+        const options = hoek.applyToDefaults({ displayName }, scm.config);
+        const scmContexts = this.registerPlugin(scm, options);
+        // repository routes are appended to the routes of their scmContexts
+        const scmPlugin =
+            scm.repositories === undefined
+                ? this.scms[scmContexts[0]]
+                : this.repositoryRoutes[scmContexts[0]].slice(-1)[0].scm;
+        const routeErrors = this.checkRepositoryRoutes();
+
+        if (routeErrors.length > 0) {
+            this.unregisterPlugin(scmPlugin, scmContexts);
+
+            throw new Error(routeErrors.join('\n'));
         }
 
-        const scmPlugin = new ScmPlugin(options);
-        const scmContexts = scmPlugin.getScmContexts();
-        const scmContext = scmContexts[0]; // plugins return only one scmContext
+        const initError = await this.initPlugin(scmPlugin);
 
-        if (!scmContext || typeof scmContext !== 'string') {
-            logger.warn(`Illegal scmContext for ${plugin} scm plugin`);
+        if (initError) {
+            this.unregisterPlugin(scmPlugin, scmContexts);
 
-            return;
+            throw new Error(`Scm plugin ${getPluginName(scm, displayName)} failed to initialize: ${initError.message}`);
         }
 
-        if (typeof this.scms[scmContext] === 'object') {
-            logger.warn(`Duplicate scm config for ${scmContext}`);
+        logger.info(`Added scm plugin ${getPluginName(scm, displayName)} for ${scmContexts.join(', ')}`);
 
-            return;
+        return scmContexts;
+    }
+
+    /**
+     * Remove an scm module at runtime.
+     * New calls to the scmContext are rejected immediately, calls already in flight are allowed to finish.
+     * A module registered with multiple scmContexts keeps serving the other scmContexts.
+     * @async  removeScm
+     * @param  {String}     scmContext          Name of scm context
+     * @return {Promise}                        Resolves when all in-flight calls to the scmContext have settled
+     */
+    async removeScm(scmContext) {
+        const scm = this.scms[scmContext];
+
+        if (!scm) {
+            throw this.createUnknownScmContextError(scmContext);
         }
 
-        this.scms[scmContext] = scmPlugin;
+        delete this.scms[scmContext];
+        this.removedScmContexts.add(scmContext);
+
+        const routedPlugins = (this.repositoryRoutes[scmContext] || []).map(route => route.scm);
+        const plugins = [scm, ...routedPlugins];
+
+        delete this.repositoryRoutes[scmContext];
+        this.repositoryNames.delete(scmContext);
+        delete this.mirrors[scmContext];
+        delete this.circuitBreakers[scmContext];
+        delete this.retries[scmContext];
+        delete this.throttles[scmContext];
+
+        plugins
+            .filter(plugin => !this.isRegistered(plugin))
+            .forEach(plugin => {
+                this.initializations.delete(plugin);
+                this.capabilities.delete(plugin);
+                this.priorities.delete(plugin);
+            });
+
+        await Promise.allSettled(Array.from(this.pendingCalls.get(scmContext) || []));
+
+        logger.info(`Removed scm plugin for ${scmContext}`);
+    }
+
+    /**
+     * choose webhook scm module among the initialized ones
+     * @async  chooseWebhookScm
+     * @param  {Object}     headers          The request headers associated with the webhook payload
+     * @param  {Object}     payload          The webhook payload received from the SCM service
+     * @return {Promise}                     scm object, or null if there is no suitable one
+     */
+    async chooseWebhookScm(headers, payload) {
+        const { scm } = await this.probeWebhook(headers, payload);
+
+        return scm;
     }
 
     /**
-     * choose webhook scm module
-     * @method chooseWebhookScm
+     * Probe the initialized scm modules for the one that can handle a webhook.
+     * The scms whose type and host match the well-known headers of the webhook are probed first,
+     * then the other scms when none of them can handle it.
+     * @async  probeWebhook
      * @param  {Object}     headers          The request headers associated with the webhook payload
      * @param  {Object}     payload          The webhook payload received from the SCM service
-     * @return {Promise}                     scm object
-     */
-    chooseWebhookScm(headers, payload) {
-        return new Promise(resolve => {
-            // choose a webhook scm module, or null if there is no suitable one
-            async.detect(
-                this.scms,
-                (scm, cb) => {
-                    scm.canHandleWebhook(headers, payload)
-                        .then(result => {
-                            cb(result === false ? null : scm);
-                        })
-                        .catch(err => {
-                            logger.error(err);
-                            cb(null);
-                        });
-                },
-                ret => resolve(ret)
+     * @return {Promise}                     scm object, or null if there is no suitable one, and the details of
+     *                                       why each scmContext could not handle the webhook when there is none
+     */
+    async probeWebhook(headers, payload) {
+        const plugins = this.sortByPriority(
+            await this.getReadyPlugins([...this.getPlugins(), ...this.getRoutedPlugins()])
+        );
+        const hints = getWebhookHints(headers, this.webhooks.hostHeaders);
+        const candidates = plugins.filter(scm =>
+            scm.getScmContexts().some(scmContext => matchesWebhookHints(scmContext, hints))
+        );
+        let probes = await this.probeWebhookScms(candidates, headers, payload);
+
+        if (!probes.some(probe => probe.accepted) && candidates.length < plugins.length) {
+            probes = probes.concat(
+                await this.probeWebhookScms(
+                    plugins.filter(plugin => !candidates.includes(plugin)),
+                    headers,
+                    payload
+                )
             );
+        }
+
+        const scm = this.pickWebhookScm(probes.filter(probe => probe.accepted).map(probe => probe.scm));
+
+        return { scm, details: scm ? [] : probes.flatMap(probe => this.diagnoseWebhook(probe, hints)) };
+    }
+
+    /**
+     * Explain why an scm module could not handle a webhook, for each of its scmContexts
+     * @method diagnoseWebhook
+     * @param  {Object}     probe            Result of probeWebhookScms for the scm module
+     * @param  {Object}     hints            Hints recognized from the headers by getWebhookHints
+     * @return {Array}                       scmContext, reason (signature, unknownEvent, hostMismatch or threw)
+     *                                       and message of each scmContext
+     */
+    diagnoseWebhook({ scm, error }, { type, event, hostname }) {
+        return scm.getScmContexts().map(scmContext => {
+            if (error) {
+                return { scmContext, reason: 'threw', message: this.redact(error.message) };
+            }
+
+            if (!matchesWebhookHints(scmContext, { type, hostname })) {
+                return {
+                    scmContext,
+                    reason: 'hostMismatch',
+                    message: `Webhook was sent by ${[type, hostname].filter(Boolean).join(' ')}`
+                };
+            }
+
+            let mapping;
+
+            try {
+                mapping = scm.getWebhookEventsMapping({ scmContext });
+            } catch (err) {
+                mapping = undefined;
+            }
+
+            if (isUnknownEvent(mapping, event)) {
+                return { scmContext, reason: 'unknownEvent', message: `Event ${event} is not supported` };
+            }
+
+            return { scmContext, reason: 'signature', message: 'Signature or payload was not accepted' };
         });
     }
 
+    /**
+     * Sort scm modules by descending priority, keeping their order when they have the same priority
+     * @method sortByPriority
+     * @param  {Array}      plugins          scm modules
+     * @return {Array}                       sorted scm modules
+     */
+    sortByPriority(plugins) {
+        return [...plugins].sort((a, b) => (this.priorities.get(b) || 0) - (this.priorities.get(a) || 0));
+    }
+
+    /**
+     * Probe scm modules for the ones that can handle a webhook
+     * @async  probeWebhookScms
+     * @param  {Array}      plugins          scm modules to probe
+     * @param  {Object}     headers          The request headers associated with the webhook payload
+     * @param  {Object}     payload          The webhook payload received from the SCM service
+     * @return {Promise}                     scm module, whether it can handle the webhook and the error it threw,
+     *                                       in the order of plugins
+     */
+    probeWebhookScms(plugins, headers, payload) {
+        return Promise.all(
+            plugins.map(scm =>
+                scm.canHandleWebhook(headers, payload).then(
+                    result => ({ scm, accepted: result !== false }),
+                    error => {
+                        logger.error(this.redact(error.stack || error));
+
+                        return { scm, accepted: false, error };
+                    }
+                )
+            )
+        );
+    }
+
+    /**
+     * Pick the scm module for a webhook, applying the ambiguity policy when several can handle it
+     * @method pickWebhookScm
+     * @param  {Array}      matches          scm modules that can handle the webhook, by priority
+     * @return {Object}                      scm object, or null if there is no suitable one
+     */
+    pickWebhookScm(matches) {
+        if (matches.length === 0) {
+            return null;
+        }
+
+        if (matches.length > 1) {
+            const scmContexts = matches.flatMap(scm => scm.getScmContexts()).join(', ');
+            const message = `Webhook matches multiple scmContexts: ${scmContexts}`;
+
+            this.ambiguousWebhooks[scmContexts] = (this.ambiguousWebhooks[scmContexts] || 0) + 1;
+
+            if (this.webhooks.ambiguity === 'reject') {
+                const err = new Error(`${message}. Please make sure each scm uses a different webhook secret`);
+
+                err.statusCode = 400;
+
+                throw err;
+            }
+
+            if (this.webhooks.ambiguity === 'warn') {
+                logger.warn(`${message}, picking ${matches[0].getScmContexts().join(', ')}`);
+            }
+        }
+
+        return matches[0];
+    }
+
     /**
      * choose scm module
      * @async  chooseScm
-     * @param  {Object}     config              Configuration
-     * @param  {String}     config.scmContext   Name of scm context
-     * @return {Promise}                        scm object
+     * @param  {Object}     config                  Configuration
+     * @param  {String}     [config.scmContext]     Name of scm context
+     * @param  {String}     [config.checkoutUrl]    Checkout url to infer the scm context from when there is none
+     * @param  {String}     [config.scmUri]         Scm uri to infer the scm context from when there is none
+     * @param  {Object}     [config.scmRepo]        Scm repository, whose name selects an scm dedicated to it
+     *                                              (or else the repository of checkoutUrl or scmUri)
+     * @return {Promise}                            scm object
      */
     async chooseScm(config) {
-        if (config && typeof config.scmContext === 'string') {
-            const scm = this.scms[config.scmContext];
+        const { scmContext } = this.resolveConfig(config) || {};
+
+        if (typeof scmContext === 'string') {
+            const scm =
+                this.scms[scmContext] && ((await this.routeRepository(scmContext, config)) || this.scms[scmContext]);
 
             if (scm) {
+                const initError = await this.initPlugin(scm);
+
+                if (initError) {
+                    throw new Error(`Scm context ${scmContext} failed to initialize: ${initError.message}`);
+                }
+
                 return scm;
             }
+
+            throw this.createUnknownScmContextError(scmContext);
+        }
+
+        throw this.createUnknownScmContextError(config ? config.scmContext : undefined);
+    }
+
+    /**
+     * Send a write call to the mirror of the scmContext of the config, when the repository is mapped.
+     * Failures are logged and counted, but never reported to the caller.
+     * @method mirrorCall
+     * @param  {Object}     config              Configuration of the primary call
+     * @param  {String}     method              Name of the scm method to call
+     * @return {Promise}                        Resolves when the mirrored call has settled
+     */
+    mirrorCall(config, method) {
+        const mirror = config && this.mirrors[config.scmContext];
+
+        if (!mirror || (method === 'addWebhook' && !mirror.webhooks)) {
+            return Promise.resolve();
+        }
+
+        const mapping = mirror.repositories[config.scmUri];
+
+        if (mapping === undefined) {
+            return Promise.resolve();
+        }
+
+        const mirroredConfig = {
+            ...config,
+            ...(typeof mapping === 'string' ? { scmUri: mapping } : mapping),
+            scmContext: mirror.scmContext,
+            token: mirror.token
+        };
+
+        return this.callScm(mirroredConfig, method, { mirror: false }).then(
+            () => {
+                mirror.succeeded += 1;
+            },
+            err => {
+                mirror.failed += 1;
+                logger.warn(
+                    this.redact(
+                        `Failed to mirror ${method} of ${config.scmContext} to ${mirror.scmContext}: ${err.message}`
+                    )
+                );
+            }
+        );
+    }
+
+    /**
+     * Get the circuit breaker of an scmContext, when circuit breakers are enabled
+     * @method getCircuitBreaker
+     * @param  {String}     scmContext          Name of scm context
+     * @return {CircuitBreaker}                 Circuit breaker, or undefined
+     */
+    getCircuitBreaker(scmContext) {
+        if (!this.circuitBreaker) {
+            return undefined;
+        }
+
+        if (!this.circuitBreakers[scmContext]) {
+            this.circuitBreakers[scmContext] = new CircuitBreaker({
+                ...this.circuitBreaker.defaults,
+                ...this.circuitBreaker.scmContexts[scmContext]
+            });
+        }
+
+        return this.circuitBreakers[scmContext];
+    }
+
+    /**
+     * Get the retry policy of a method of an scmContext, when retries are enabled and the method is read-only
+     * @method getRetryPolicy
+     * @param  {String}     scmContext          Name of scm context
+     * @param  {String}     method              Name of the scm method
+     * @return {RetryPolicy}                    Retry policy, or undefined
+     */
+    getRetryPolicy(scmContext, method) {
+        if (!this.retry || !RETRIED_METHODS.includes(method)) {
+            return undefined;
+        }
+
+        return new RetryPolicy(getMethodOptions(this.retry, scmContext, method));
+    }
+
+    /**
+     * Get the throttle of an scmContext, when throttling is enabled
+     * @method getThrottle
+     * @param  {String}     scmContext          Name of scm context
+     * @return {Throttle}                       Throttle, or undefined
+     */
+    getThrottle(scmContext) {
+        if (!this.throttle) {
+            return undefined;
+        }
+
+        if (!this.throttles[scmContext]) {
+            this.throttles[scmContext] = new Throttle({
+                ...this.throttle.defaults,
+                ...this.throttle.scmContexts[scmContext]
+            });
+        }
+
+        return this.throttles[scmContext];
+    }
+
+    /**
+     * Get the rate-limit budget an scm module reports through its optional getRateLimit method
+     * @async  getRateLimit
+     * @param  {Object}     scm                 scm module
+     * @param  {String}     scmContext          Name of scm context
+     * @return {Promise}                        Resolves with { remaining, resetAt }, or undefined
+     */
+    async getRateLimit(scm, scmContext) {
+        if (typeof scm.getRateLimit !== 'function') {
+            return undefined;
+        }
+
+        try {
+            return await scm.getRateLimit({ scmContext });
+        } catch (err) {
+            logger.warn(this.redact(`Failed to get the rate limit of ${scmContext}: ${err.message}`));
+
+            return undefined;
+        }
+    }
+
+    /**
+     * Call a method of an scm module once, waiting for the throttle of the scmContext
+     * @async  attemptScm
+     * @param  {Object}     scm                     scm module
+     * @param  {Object}     config                  Configuration resolved by resolveConfig
+     * @param  {String}     method                  Name of the scm method to call
+     * @param  {AbortSignal} signal                 Signal aborted once the deadline of the call is over
+     * @return {Promise}                            Result of the scm method
+     */
+    async attemptScm(scm, config, method, signal) {
+        signal.throwIfAborted();
+
+        const throttle = this.getThrottle(config.scmContext);
+
+        if (!throttle) {
+            return this.invokeScm(scm, config, method, signal);
+        }
+
+        const release = await throttle.acquire(signal);
+
+        try {
+            throttle.setRateLimit(await this.getRateLimit(scm, config.scmContext));
+            await throttle.pace(signal);
+
+            return await this.invokeScm(scm, config, method, signal);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Call a method of an scm module, through the circuit breaker of the scmContext.
+     * A call still in flight when its deadline is over counts as a failure of the scm.
+     * @async  invokeScm
+     * @param  {Object}     scm                     scm module
+     * @param  {Object}     config                  Configuration resolved by resolveConfig
+     * @param  {String}     method                  Name of the scm method to call
+     * @param  {AbortSignal} signal                 Signal aborted once the deadline of the call is over
+     * @return {Promise}                            Result of the scm method
+     */
+    async invokeScm(scm, config, method, signal) {
+        // the scmContext may have been removed while waiting for its scm to be chosen, for the throttle or for a retry
+        if (!this.servesScmContext(scm, config.scmContext)) {
+            throw this.createUnknownScmContextError(config.scmContext);
+        }
+
+        const breaker = this.getCircuitBreaker(config.scmContext);
+
+        if (breaker && !breaker.tryAcquire()) {
+            throw new ScmUnavailableError(config.scmContext, breaker.retryAfter());
+        }
+
+        let call;
+
+        try {
+            // scm-base does not wrap the result of every method in a promise, e.g. isEnterpriseUser
+            call = Promise.resolve(scm[method](config));
+        } catch (err) {
+            // thrown before any request
+            if (breaker) {
+                breaker.release();
+            }
+
+            throw err;
+        }
+
+        if (breaker) {
+            let timedOut = false;
+            const onAbort = () => {
+                if (signal.reason instanceof ScmTimeoutError) {
+                    timedOut = true;
+                    breaker.recordFailure();
+                }
+            };
+            const settle = record => {
+                signal.removeEventListener('abort', onAbort);
+
+                // a call that timed out was already recorded
+                if (!timedOut) {
+                    record();
+                }
+            };
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            call.then(
+                () => settle(() => breaker.recordSuccess()),
+                err => settle(() => recordScmError(breaker, err))
+            );
+        }
+
+        return call;
+    }
+
+    /**
+     * Call a method of an scm module, retrying read methods with backoff while the scm fails to answer
+     * @async  retryScm
+     * @param  {Object}     scm                     scm module
+     * @param  {Object}     config                  Configuration resolved by resolveConfig
+     * @param  {String}     method                  Name of the scm method to call
+     * @param  {AbortSignal} signal                 Signal aborted once the deadline of the call is over
+     * @param  {Number}     [attempt=1]             Number of the attempt
+     * @return {Promise}                            Result of the scm method
+     */
+    async retryScm(scm, config, method, signal, attempt = 1) {
+        try {
+            return await this.attemptScm(scm, config, method, signal);
+        } catch (err) {
+            const { scmContext } = config;
+            const policy = this.getRetryPolicy(scmContext, method);
+
+            if (
+                !policy ||
+                attempt > policy.retries ||
+                signal.aborted ||
+                err instanceof ScmUnavailableError ||
+                !isScmFailure(err)
+            ) {
+                throw err;
+            }
+
+            logger.warn(this.redact(`Retrying ${method} of ${scmContext} after attempt ${attempt}: ${err.message}`));
+
+            this.retries[scmContext] = this.retries[scmContext] || {};
+            this.retries[scmContext][method] = (this.retries[scmContext][method] || 0) + 1;
+
+            await policy.wait(attempt, signal);
+
+            return this.retryScm(scm, config, method, signal, attempt + 1);
+        }
+    }
+
+    /**
+     * Get the timeout of a method of an scmContext, when deadlines are enabled
+     * @method getTimeout
+     * @param  {String}     scmContext          Name of scm context
+     * @param  {String}     method              Name of the scm method
+     * @return {Number}                         Milliseconds, or undefined
+     */
+    getTimeout(scmContext, method) {
+        return this.deadline ? getMethodOptions(this.deadline, scmContext, method).timeout : undefined;
+    }
+
+    /**
+     * Call a method of the scm module chosen by the config, keeping track of it per scmContext while in flight
+     * until it settles, even after its deadline
+     * @async  trackScm
+     * @param  {Object}     config                  Configuration resolved by resolveConfig
+     * @param  {String}     method                  Name of the scm method to call
+     * @param  {AbortSignal} signal                 Signal aborted once the deadline of the call is over
+     * @return {Promise}                            Result of the scm method
+     */
+    async trackScm(config, method, signal) {
+        const scmContext = config && config.scmContext;
+        const call = this.chooseScm(config).then(scm => this.retryScm(scm, config, method, signal));
+
+        if (!this.pendingCalls.has(scmContext)) {
+            this.pendingCalls.set(scmContext, new Set());
+        }
+
+        const pending = this.pendingCalls.get(scmContext);
+
+        pending.add(call);
+
+        try {
+            return await call;
+        } finally {
+            pending.delete(call);
+
+            if (pending.size === 0) {
+                this.pendingCalls.delete(scmContext);
+            }
+        }
+    }
+
+    /**
+     * Call a method of the scm module chosen by the config.
+     * Write methods are also sent to the mirror of the scmContext, without waiting for it.
+     * Calls fail fast with an ScmUnavailableError while the circuit breaker of the scmContext is open.
+     * Read methods are retried with backoff when retries are enabled.
+     * Calls wait in the queue of the scmContext and are paced while its rate-limit budget runs low when throttling
+     * is enabled.
+     * Calls reject with an ScmTimeoutError once their deadline is over, or with the reason of the signal of the caller
+     * once it aborts.
+     * @async  callScm
+     * @param  {Object}     config                  Configuration
+     * @param  {String}     config.scmContext       Name of scm context
+     * @param  {AbortSignal} [config.signal]        Signal of the caller, not passed on to the scm module, or else the one
+     *                                              forwarded by the public method (see forwardSignal)
+     * @param  {String}     method                  Name of the scm method to call
+     * @param  {Object}     [options]
+     * @param  {Boolean}    [options.mirror=true]   Whether to send the call to the mirror of the scmContext
+     * @return {Promise}                            Result of the scm method
+     */
+    async callScm(config, method, { mirror = true } = {}) {
+        const { [CALLER_SIGNAL]: forwardedSignal, signal = forwardedSignal, ...scmConfig } = config || {};
+        const routedConfig = this.resolveConfig(config && scmConfig);
+        const scmContext = routedConfig && routedConfig.scmContext;
+        const timeout = this.getTimeout(scmContext, method);
+
+        if (mirror && MIRRORED_METHODS.includes(method)) {
+            this.mirrorCall(routedConfig, method);
         }
 
-        throw new Error('Not implemented');
+        return withDeadline(deadlineSignal => this.trackScm(routedConfig, method, deadlineSignal), {
+            timeout,
+            signal,
+            createTimeoutError: () => new ScmTimeoutError(scmContext, method, timeout)
+        });
     }
 
     /**
-     * Higher-order function that maps all scm modules and returns result
+     * Higher-order function that maps all initialized scm modules and returns result
      * @async  allScm
-     * @param  {function(scm)}     fn      function that maps an scm value
-     * @return {Promise}                   the mapped results of all scm values
+     * @param  {function(scm)}     fn                           function that maps an scm value
+     * @param  {Object}            [options]
+     * @param  {Boolean}           [options.settled=false]      Resolve the results of the scm modules that succeeded
+     *                                                          and the scmContexts of the ones that failed, including
+     *                                                          the ones that failed to initialize, instead of
+     *                                                          rejecting as soon as one fails
+     * @return {Promise}                                        the mapped results of all scm values, or
+     *                                                          { results, failed: [{ scmContext, error }] } when settled
      */
-    async allScm(fn) {
+    async allScm(fn, { settled = false } = {}) {
         const map = {};
-        const results = await Promise.all(Object.keys(this.scms).map(key => fn(this.scms[key])));
 
-        results.forEach(result => Object.assign(map, result));
+        if (!settled) {
+            const plugins = await this.getReadyPlugins();
+            const results = await Promise.all(plugins.map(scm => fn(scm)));
+
+            results.forEach(result => Object.assign(map, result));
+
+            return map;
+        }
+
+        const plugins = this.getPlugins();
+        const initErrors = await Promise.all(plugins.map(scm => this.initPlugin(scm)));
+        // scm modules that failed to initialize fail with their initialization error, without calling fn
+        const outcomes = await Promise.allSettled(
+            plugins.map(async (scm, i) => {
+                if (initErrors[i]) {
+                    throw initErrors[i];
+                }
+
+                return fn(scm);
+            })
+        );
+        const failed = [];
+
+        outcomes.forEach(({ status, value, reason }, i) => {
+            if (status === 'fulfilled') {
+                Object.assign(map, value);
+
+                return;
+            }
+
+            Object.keys(this.scms)
+                .filter(scmContext => this.scms[scmContext] === plugins[i])
+                .forEach(scmContext => failed.push({ scmContext, error: reason }));
+        });
+
+        return { results: map, failed };
+    }
 
-        return map;
+    /**
+     * Adds the Screwdriver webhook to the SCM repository, with the optional signal of the caller
+     * @method addWebhook
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    addWebhook(config) {
+        return super.addWebhook(forwardSignal(config));
     }
 
     /**
@@ -156,7 +1949,7 @@ class ScmRouter extends Scm {
      * @return {Promise}                        Resolves when operation completed without failure
      */
     _addWebhook(config) {
-        return this.chooseScm(config).then(scm => scm.addWebhook(config));
+        return this.callScm(config, 'addWebhook');
     }
 
     /**
@@ -165,7 +1958,7 @@ class ScmRouter extends Scm {
      * @return {Object}     Returns a mapping of the events
      */
     _getWebhookEventsMapping(config) {
-        return this.scms[config.scmContext].getWebhookEventsMapping();
+        return this.getScm(hoek.reach(config, 'scmContext')).getWebhookEventsMapping();
     }
 
     /**
@@ -176,7 +1969,18 @@ class ScmRouter extends Scm {
      * @return {Boolean}                        Resolves when operation completed without failure
      */
     autoDeployKeyGenerationEnabled(config) {
-        return this.scms[config.scmContext].autoDeployKeyGenerationEnabled();
+        return this.getScm(hoek.reach(config, 'scmContext')).autoDeployKeyGenerationEnabled();
+    }
+
+    /**
+     * Generate and add the public deploy key to the specific scm, with the optional signal of the caller
+     * @method addDeployKey
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    addDeployKey(config) {
+        return super.addDeployKey(forwardSignal(config));
     }
 
     /**
@@ -187,7 +1991,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _addDeployKey(config) {
-        return this.chooseScm(config).then(scm => scm.addDeployKey(config));
+        return this.callScm(config, 'addDeployKey');
+    }
+
+    /**
+     * Parse the url for a repo for the specific source control, with the optional signal of the caller
+     * @method parseUrl
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    parseUrl(config) {
+        return super.parseUrl(forwardSignal(config));
     }
 
     /**
@@ -198,18 +2013,155 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _parseUrl(config) {
-        return this.chooseScm(config).then(scm => scm.parseUrl(config));
+        return this.callScm(config, 'parseUrl');
+    }
+
+    /**
+     * Remember the delivery of a webhook, when deduplication is enabled
+     * @async  recordDelivery
+     * @param  {Object}     headers     The request headers associated with the webhook payload
+     * @return {Promise}                Resolves true when the delivery was already seen, else false
+     */
+    async recordDelivery(headers) {
+        const deliveryId = getDeliveryId(headers);
+
+        if (!this.webhooks.dedup || !deliveryId) {
+            return false;
+        }
+
+        try {
+            const added = await this.webhooks.dedup.store.add(deliveryId, this.webhooks.dedup.ttl);
+
+            if (added === false) {
+                this.duplicateWebhooks += 1;
+            }
+
+            return added === false;
+        } catch (err) {
+            // process the webhook rather than lose it when the store is unavailable
+            logger.error(this.redact(`Failed to record webhook delivery ${deliveryId}: ${err.message}`));
+
+            return false;
+        }
+    }
+
+    /**
+     * Forget the delivery of a webhook, so that a redelivery is processed again
+     * @async  forgetDelivery
+     * @param  {Object}     headers     The request headers associated with the webhook payload
+     * @return {Promise}
+     */
+    async forgetDelivery(headers) {
+        const deliveryId = getDeliveryId(headers);
+
+        if (!this.webhooks.dedup || !deliveryId) {
+            return;
+        }
+
+        try {
+            await this.webhooks.dedup.store.delete(deliveryId);
+        } catch (err) {
+            logger.error(this.redact(`Failed to forget webhook delivery ${deliveryId}: ${err.message}`));
+        }
+    }
+
+    /**
+     * Normalize the parseHook result of an scm module, filling in its scmContext,
+     * and validate it against the shared schema according to webhooks.validation
+     * @method checkHook
+     * @param  {Object}     scm         scm module that parsed the webhook
+     * @param  {Object}     hook        parseHook result, null when the webhook is ignored
+     * @return {Object}                 Normalized result
+     */
+    checkHook(scm, hook) {
+        let result = hook === undefined ? null : hook;
+
+        if (result && typeof result === 'object') {
+            result = normalizeHook(result);
+
+            if (result.scmContext === undefined) {
+                const scmContexts = scm.getScmContexts();
+                const hostname = getHostname(result.checkoutUrl);
+
+                result.scmContext =
+                    scmContexts.length === 1
+                        ? scmContexts[0]
+                        : scmContexts.find(scmContext => getScmContextHostname(scmContext) === hostname);
+            }
+        }
+
+        const error = result === null ? undefined : validateHook(result);
+
+        if (error) {
+            const message = this.redact(`Invalid parseHook result of ${scm.getScmContexts().join(', ')}: ${error}`);
+
+            if (this.webhooks.validation === 'reject') {
+                throw new Error(message);
+            }
+
+            logger.warn(message);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a webhook with the scm module that can handle it.
+     * A redelivered webhook resolves null, or is flagged with duplicate: true, when deduplication is enabled.
+     * Results are normalized and validated by checkHook, and a result matching one of webhooks.filters
+     * resolves { skipped: true, rule, hook } with the name of the rule.
+     * @async  parseWebhook
+     * @param  {Object}     scm         scm module that can handle the webhook
+     * @param  {Object}     headers     The request headers associated with the webhook payload
+     * @param  {Object}     payload     The webhook payload received from the SCM service
+     * @return {Promise}
+     */
+    async parseWebhook(scm, headers, payload) {
+        // deliveries are only recorded once an scm has verified the webhook
+        const duplicate = await this.recordDelivery(headers);
+
+        if (duplicate && this.webhooks.dedup.action === 'skip') {
+            logger.info(`Skipping duplicate webhook delivery ${getDeliveryId(headers)}`);
+
+            return null;
+        }
+
+        let result;
+
+        try {
+            result = this.checkHook(scm, await scm.parseHook(headers, payload));
+        } catch (err) {
+            await this.forgetDelivery(headers);
+
+            throw err;
+        }
+
+        const filter = result && typeof result === 'object' ? findFilter(this.webhooks.filters, result) : undefined;
+
+        if (filter) {
+            this.skippedWebhooks[filter.name] = (this.skippedWebhooks[filter.name] || 0) + 1;
+            logger.info(`Skipping webhook of ${result.scmContext} matching filter ${filter.name}`);
+
+            return { skipped: true, rule: filter.name, hook: result };
+        }
+
+        return duplicate && result ? { ...result, duplicate: true } : result;
     }
 
     /**
-     * Parse the webhook for the specific source control
-     * @method _parseHook
+     * Parse the webhook for the specific source control (see parseWebhook).
+     * Rejects with a 400 error when no scm can handle the webhook, whose details explain why for each scmContext.
+     * @async  _parseHook
      * @param  {Object}     headers     The request headers associated with the webhook payload
      * @param  {Object}     payload     The webhook payload received from the SCM service
      * @return {Promise}
      */
-    _parseHook(headers, payload) {
-        return this.chooseWebhookScm(headers, payload).then(scm => {
+    async _parseHook(headers, payload) {
+        const recording = { method: 'parseHook', headers, payload };
+
+        try {
+            const { scm, details } = await this.probeWebhook(headers, payload);
+
             if (!scm) {
                 logger.info('Webhook does not match any expected events or actions.');
 
@@ -218,12 +2170,106 @@ class ScmRouter extends Scm {
                 );
 
                 err.statusCode = 400;
+                err.details = details;
 
-                return Promise.reject(err);
+                throw err;
             }
 
-            return scm.parseHook(headers, payload);
-        });
+            recording.scm = scm;
+            recording.result = await this.parseWebhook(scm, headers, payload);
+
+            return recording.result;
+        } catch (err) {
+            recording.error = err;
+
+            throw err;
+        } finally {
+            await this.recordWebhook(recording);
+        }
+    }
+
+    /**
+     * Write a webhook, the scm chosen for it and the outcome to the recording directory, when recording is enabled.
+     * Headers carrying credentials and the resolved secrets of the config are redacted.
+     * @async  recordWebhook
+     * @param  {Object}     recording               Webhook to record
+     * @param  {String}     recording.method        Router method the webhook was passed to (parseHook or
+     *                                              canHandleWebhook)
+     * @param  {Object}     recording.headers       The request headers associated with the webhook payload
+     * @param  {Object}     recording.payload       The webhook payload received from the SCM service
+     * @param  {Object}     [recording.scm]         scm module chosen for the webhook
+     * @param  {*}          [recording.result]      Result of the method
+     * @param  {Error}      [recording.error]       Error the method failed with
+     * @return {Promise}                            Resolves once written, failures are only logged
+     */
+    async recordWebhook({ method, headers, payload, scm, result, error }) {
+        if (!this.webhooks.record) {
+            return;
+        }
+
+        const { directory, redactHeaders } = this.webhooks.record;
+        const recordedAt = new Date().toISOString();
+        const recording = {
+            recordedAt,
+            method,
+            headers: sanitizeHeaders(headers, redactHeaders),
+            payload,
+            scmContext: scm ? scm.getScmContexts().join(', ') : null
+        };
+
+        if (error) {
+            recording.error = { message: error.message, statusCode: error.statusCode, details: error.details };
+        } else {
+            recording.result = result;
+        }
+
+        const file = path.join(directory, `${recordedAt.replace(/[:.]/g, '-')}-${method}-${crypto.randomUUID()}.json`);
+
+        try {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(file, this.redact(JSON.stringify(recording, null, 4)));
+        } catch (err) {
+            logger.error(this.redact(`Failed to record webhook to ${directory}: ${err.message}`));
+        }
+    }
+
+    /**
+     * Pass a recorded webhook through the router again, recording it again when recording is enabled
+     * @async  replayWebhook
+     * @param  {String}     file        Path of a file written by recordWebhook
+     * @return {Promise}                Result of parseHook, or canHandleWebhook for webhooks recorded from it
+     */
+    async replayWebhook(file) {
+        const { method, headers, payload } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+        if (method === 'canHandleWebhook') {
+            return this._canHandleWebhook(headers, payload);
+        }
+
+        return this._parseHook(headers, payload);
+    }
+
+    /**
+     * Parse the webhook for the specific source control.
+     * The result is validated by _parseHook according to webhooks.validation instead of by scm-base.
+     * @method parseHook
+     * @param  {Object}     headers     The request headers associated with the webhook payload
+     * @param  {Object}     payload     The webhook payload received from the SCM service
+     * @return {Promise}
+     */
+    parseHook(headers, payload) {
+        return this._parseHook(headers, payload);
+    }
+
+    /**
+     * Checkout the source code from a repository; resolves as an object with checkout commands, with the optional signal of the caller
+     * @method getCheckoutCommand
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getCheckoutCommand(config) {
+        return super.getCheckoutCommand(forwardSignal(config));
     }
 
     /**
@@ -234,7 +2280,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _getCheckoutCommand(config) {
-        return this.chooseScm(config).then(scm => scm.getCheckoutCommand(config));
+        return this.callScm(config, 'getCheckoutCommand');
+    }
+
+    /**
+     * Decorate the url for the specific source control, with the optional signal of the caller
+     * @method decorateUrl
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    decorateUrl(config) {
+        return super.decorateUrl(forwardSignal(config));
     }
 
     /**
@@ -245,7 +2302,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _decorateUrl(config) {
-        return this.chooseScm(config).then(scm => scm.decorateUrl(config));
+        return this.callScm(config, 'decorateUrl');
+    }
+
+    /**
+     * Decorate the commit for the specific source control, with the optional signal of the caller
+     * @method decorateCommit
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    decorateCommit(config) {
+        return super.decorateCommit(forwardSignal(config));
     }
 
     /**
@@ -256,7 +2324,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _decorateCommit(config) {
-        return this.chooseScm(config).then(scm => scm.decorateCommit(config));
+        return this.callScm(config, 'decorateCommit');
+    }
+
+    /**
+     * Decorate the author for the specific source control, with the optional signal of the caller
+     * @method decorateAuthor
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    decorateAuthor(config) {
+        return super.decorateAuthor(forwardSignal(config));
     }
 
     /**
@@ -267,7 +2346,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _decorateAuthor(config) {
-        return this.chooseScm(config).then(scm => scm.decorateAuthor(config));
+        return this.callScm(config, 'decorateAuthor');
+    }
+
+    /**
+     * Get a users permissions on a repository, with the optional signal of the caller
+     * @method getPermissions
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getPermissions(config) {
+        return super.getPermissions(forwardSignal(config));
     }
 
     /**
@@ -278,7 +2368,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _getPermissions(config) {
-        return this.chooseScm(config).then(scm => scm.getPermissions(config));
+        return this.callScm(config, 'getPermissions');
+    }
+
+    /**
+     * Get a users permissions on an organization, with the optional signal of the caller
+     * @method getOrgPermissions
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getOrgPermissions(config) {
+        return super.getOrgPermissions(forwardSignal(config));
     }
 
     /**
@@ -289,7 +2390,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _getOrgPermissions(config) {
-        return this.chooseScm(config).then(scm => scm.getOrgPermissions(config));
+        return this.callScm(config, 'getOrgPermissions');
+    }
+
+    /**
+     * Get a commit sha for a specific repo#branch or pull request, with the optional signal of the caller
+     * @method getCommitSha
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getCommitSha(config) {
+        return super.getCommitSha(forwardSignal(config));
     }
 
     /**
@@ -300,7 +2412,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _getCommitSha(config) {
-        return this.chooseScm(config).then(scm => scm.getCommitSha(config));
+        return this.callScm(config, 'getCommitSha');
+    }
+
+    /**
+     * Get a commit sha from a reference, with the optional signal of the caller
+     * @method getCommitRefSha
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getCommitRefSha(config) {
+        return super.getCommitRefSha(forwardSignal(config));
     }
 
     /**
@@ -311,7 +2434,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _getCommitRefSha(config) {
-        return this.chooseScm(config).then(scm => scm.getCommitRefSha(config));
+        return this.callScm(config, 'getCommitRefSha');
+    }
+
+    /**
+     * Add a comment on a pull request, with the optional signal of the caller
+     * @method addPrComment
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    addPrComment(config) {
+        return super.addPrComment(forwardSignal(config));
     }
 
     /**
@@ -322,7 +2456,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _addPrComment(config) {
-        return this.chooseScm(config).then(scm => scm.addPrComment(config));
+        return this.callScm(config, 'addPrComment');
+    }
+
+    /**
+     * Update the commit status for a given repo and sha, with the optional signal of the caller
+     * @method updateCommitStatus
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    updateCommitStatus(config) {
+        return super.updateCommitStatus(forwardSignal(config));
     }
 
     /**
@@ -333,7 +2478,18 @@ class ScmRouter extends Scm {
      * @return {Promise}
      */
     _updateCommitStatus(config) {
-        return this.chooseScm(config).then(scm => scm.updateCommitStatus(config));
+        return this.callScm(config, 'updateCommitStatus');
+    }
+
+    /**
+     * Fetch content of a file from an scm repo, with the optional signal of the caller
+     * @method getFile
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getFile(config) {
+        return super.getFile(forwardSignal(config));
     }
 
     /**
@@ -344,7 +2500,18 @@ class ScmRouter extends Scm {
      * @return {Promise}                        content of a scmContext file
      */
     _getFile(config) {
-        return this.chooseScm(config).then(scm => scm.getFile(config));
+        return this.callScm(config, 'getFile');
+    }
+
+    /**
+     * Fetch changed files, with the optional signal of the caller
+     * @method getChangedFiles
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getChangedFiles(config) {
+        return super.getChangedFiles(forwardSignal(config));
     }
 
     /**
@@ -355,7 +2522,18 @@ class ScmRouter extends Scm {
      * @return {Promise}                        Changed files for scmContext
      */
     _getChangedFiles(config) {
-        return this.chooseScm(config).then(scm => scm.getChangedFiles(config));
+        return this.callScm(config, 'getChangedFiles');
+    }
+
+    /**
+     * Get list of objects which consists of opened PR names and its ref, with the optional signal of the caller
+     * @method getOpenedPRs
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getOpenedPRs(config) {
+        return super.getOpenedPRs(forwardSignal(config));
     }
 
     /**
@@ -366,16 +2544,34 @@ class ScmRouter extends Scm {
      * @return {Promise}                        Opened PRs of scmContext
      */
     _getOpenedPRs(config) {
-        return this.chooseScm(config).then(scm => scm.getOpenedPRs(config));
+        return this.callScm(config, 'getOpenedPRs');
+    }
+
+    /**
+     * Return a valid Bell configuration of all registered modules (for OAuth).
+     * Modules failing to return theirs are logged and left out, so that users can still log in with the others.
+     * @async  _getBellConfiguration
+     * @return {Promise}
+     */
+    async _getBellConfiguration() {
+        const { results, failed } = await this.allScm(scm => scm.getBellConfiguration(), { settled: true });
+
+        failed.forEach(({ scmContext, error }) =>
+            logger.warn(this.redact(`Failed to get the Bell configuration of ${scmContext}: ${error.message}`))
+        );
+
+        return results;
     }
 
     /**
-     * Return a valid Bell configuration of all registered modules (for OAuth)
-     * @method _getBellConfiguration
+     * Resolve a pull request object based on the config, with the optional signal of the caller
+     * @method getPrInfo
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
      * @return {Promise}
      */
-    _getBellConfiguration() {
-        return this.allScm(scm => scm.getBellConfiguration());
+    getPrInfo(config) {
+        return super.getPrInfo(forwardSignal(config));
     }
 
     /**
@@ -386,21 +2582,71 @@ class ScmRouter extends Scm {
      * @return {Promise}                        PR info of scmContext
      */
     _getPrInfo(config) {
-        return this.chooseScm(config).then(scm => scm.getPrInfo(config));
+        return this.callScm(config, 'getPrInfo');
     }
 
     /**
-     * Return statistics on the scm of all registered modules
+     * Return statistics on the scm of all registered modules,
+     * plus the router's own metrics under "router" when there are any
      * @method stats
      * @return {Object} object           Hash containing metrics for the scm
      */
     stats() {
         let result = {};
+        const router = {};
+
+        this.getPlugins().forEach(scm => {
+            result = Object.assign(result, scm.stats());
+        });
+
+        if (Object.keys(this.aliases).length > 0) {
+            router.aliasUsage = { ...this.aliasUsage };
+        }
+
+        Object.values(this.repositoryRoutes).forEach(routes =>
+            routes.forEach(({ displayName, scm }) => {
+                router.repositoryRoutes = router.repositoryRoutes || {};
+                router.repositoryRoutes[displayName] = scm.stats();
+            })
+        );
+
+        Object.keys(this.circuitBreakers).forEach(scmContext => {
+            router.circuitBreakers = router.circuitBreakers || {};
+            router.circuitBreakers[scmContext] = this.circuitBreakers[scmContext].stats();
+        });
+
+        Object.keys(this.throttles).forEach(scmContext => {
+            router.throttles = router.throttles || {};
+            router.throttles[scmContext] = this.throttles[scmContext].stats();
+        });
+
+        if (Object.keys(this.retries).length > 0) {
+            router.retries = hoek.clone(this.retries);
+        }
+
+        if (this.webhooks.dedup) {
+            router.duplicateWebhooks = this.duplicateWebhooks;
+        }
+
+        if (this.webhooks.filters.length > 0) {
+            router.skippedWebhooks = { ...this.skippedWebhooks };
+        }
+
+        if (Object.keys(this.ambiguousWebhooks).length > 0) {
+            router.ambiguousWebhooks = { ...this.ambiguousWebhooks };
+        }
+
+        Object.keys(this.mirrors).forEach(scmContext => {
+            const { scmContext: target, succeeded, failed } = this.mirrors[scmContext];
 
-        Object.keys(this.scms).forEach(key => {
-            result = Object.assign(result, this.scms[key].stats());
+            router.mirrors = router.mirrors || {};
+            router.mirrors[scmContext] = { scmContext: target, succeeded, failed };
         });
 
+        if (Object.keys(router).length > 0) {
+            result.router = router;
+        }
+
         return result;
     }
 
@@ -414,14 +2660,60 @@ class ScmRouter extends Scm {
     }
 
     /**
-     * Get an scm context given a hostname (e.g. github:github.com)
+     * Get an scm context matching all of the given hostname, display name and plugin type (e.g. github:github.com)
      * @method _getScmContext
      * @param  {Object} config
-     * @param  {String} [config.hostname]   Hostname for scmContext (e.g. github.com)
-     * @return {String}                     Full scmContext (e.g. github:github.com)
+     * @param  {String} [config.hostname]       Hostname for scmContext, case-insensitive and with an optional port
+     *                                          (e.g. github.com or GHE.corp:8443)
+     * @param  {String} [config.displayName]    Display name of the scm
+     * @param  {String} [config.type]           Plugin type, the scmContext prefix (e.g. github)
+     * @return {String}                         Full scmContext (e.g. github:github.com)
+     */
+    _getScmContext({ hostname, displayName, type } = {}) {
+        const scmContexts = Object.keys(this.scms).filter(
+            scmContext =>
+                (displayName === undefined || this.scms[scmContext].getDisplayName() === displayName) &&
+                (type === undefined || scmContext.split(':')[0] === type)
+        );
+
+        if (hostname === undefined) {
+            return scmContexts[0];
+        }
+
+        const aliases = Object.keys(this.aliases).filter(alias => scmContexts.includes(this.aliases[alias]));
+        const alias = findScmContextByHost(aliases, hostname);
+
+        return findScmContextByHost(scmContexts, hostname) || (alias && this.resolveScmContext(alias));
+    }
+
+    /**
+     * Get information on an scmContext
+     * @method getScmContextInfo
+     * @param  {Object}     config              Configuration
+     * @param  {String}     config.scmContext   Name of scm context
+     * @return {Object}                         Information on the scmContext (e.g.: {
+     *                                              "scmContext": 'github:ghe.corp',
+     *                                              "type": 'github',
+     *                                              "host": 'ghe.corp',
+     *                                              "displayName": 'GitHub Enterprise',
+     *                                              "readOnly": false
+     *                                          })
      */
-    _getScmContext({ hostname }) {
-        return Object.keys(this.scms).find(scmContext => scmContext.split(':')[1] === hostname);
+    getScmContextInfo(config) {
+        const scmContext = this.resolveScmContext(hoek.reach(config, 'scmContext'));
+        const scm = this.scms[scmContext];
+
+        if (!scm) {
+            throw this.createUnknownScmContextError(scmContext);
+        }
+
+        return {
+            scmContext,
+            type: scmContext.slice(0, scmContext.indexOf(':')),
+            host: getScmContextHost(scmContext),
+            displayName: scm.getDisplayName(),
+            readOnly: Boolean(hoek.reach(scm.getReadOnlyInfo(), 'enabled'))
+        };
     }
 
     /**
@@ -433,8 +2725,12 @@ class ScmRouter extends Scm {
      */
     _canHandleWebhook(headers, payload) {
         return this.chooseWebhookScm(headers, payload)
-            .then(scm => Boolean(scm))
-            .catch(() => false);
+            .catch(() => null)
+            .then(scm =>
+                this.recordWebhook({ method: 'canHandleWebhook', headers, payload, scm, result: Boolean(scm) }).then(
+                    () => Boolean(scm)
+                )
+            );
     }
 
     /**
@@ -445,7 +2741,21 @@ class ScmRouter extends Scm {
      * @return {String}                         display name of scmContext
      */
     getDisplayName(config) {
-        return this.scms[config.scmContext].getDisplayName();
+        return this.getScm(hoek.reach(config, 'scmContext')).getDisplayName();
+    }
+
+    /**
+     * Get the scm-base methods implemented by the scm of scmContext
+     * @method getCapabilities
+     * @param  {Object}     config              Configuration
+     * @param  {String}     config.scmContext   Name of scm context
+     * @return {Object}                         Map of method name to whether it is implemented (e.g.: {
+     *                                              "getOpenedPRs": true,
+     *                                              "openPr": false
+     *                                          })
+     */
+    getCapabilities(config) {
+        return { ...this.capabilities.get(this.getScm(hoek.reach(config, 'scmContext'))) };
     }
 
     /**
@@ -460,7 +2770,18 @@ class ScmRouter extends Scm {
      *                                          })
      */
     getReadOnlyInfo(config) {
-        return this.scms[config.scmContext].getReadOnlyInfo();
+        return this.getScm(hoek.reach(config, 'scmContext')).getReadOnlyInfo();
+    }
+
+    /**
+     * Get branch info of scmContext, with the optional signal of the caller
+     * @method getBranchList
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    getBranchList(config) {
+        return super.getBranchList(forwardSignal(config));
     }
 
     /**
@@ -471,7 +2792,18 @@ class ScmRouter extends Scm {
      * @return {String}                         branch info of scmContext
      */
     _getBranchList(config) {
-        return this.chooseScm(config).then(scm => scm.getBranchList(config));
+        return this.callScm(config, 'getBranchList');
+    }
+
+    /**
+     * Open a pull request on the repository, with the optional signal of the caller
+     * @method openPr
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    openPr(config) {
+        return super.openPr(forwardSignal(config));
     }
 
     /**
@@ -482,7 +2814,18 @@ class ScmRouter extends Scm {
      * @return {Object}                         Created PR
      */
     _openPr(config) {
-        return this.chooseScm(config).then(scm => scm.openPr(config));
+        return this.callScm(config, 'openPr');
+    }
+
+    /**
+     * Check if user belongs to an enterprise, with the optional signal of the caller
+     * @method isEnterpriseUser
+     * @param  {Object}      config              Configuration
+     * @param  {AbortSignal} [config.signal]     Signal of the caller, not passed on to the scm module
+     * @return {Promise}
+     */
+    isEnterpriseUser(config) {
+        return super.isEnterpriseUser(forwardSignal(config));
     }
 
     /**
@@ -493,8 +2836,13 @@ class ScmRouter extends Scm {
      * @return {Boolean}                        True if user belongs to an enterprise
      */
     _isEnterpriseUser(config) {
-        return this.chooseScm(config).then(scm => scm.isEnterpriseUser(config));
+        return this.callScm(config, 'isEnterpriseUser');
     }
 }
 
 module.exports = ScmRouter;
+module.exports.AmbiguousScmContextError = AmbiguousScmContextError;
+module.exports.MemoryDeliveryStore = MemoryDeliveryStore;
+module.exports.ScmTimeoutError = ScmTimeoutError;
+module.exports.ScmUnavailableError = ScmUnavailableError;
+module.exports.UnknownScmContextError = UnknownScmContextError;
@@ -0,0 +1,124 @@
+'use strict';
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOL_DOWN = 30 * 1000;
+
+class CircuitBreaker {
+    /**
+     * Circuit breaker of an scmContext. It opens after consecutive failures, fails calls fast during the cool-down,
+     * then lets one trial call through (half-open) that closes it again on success. A trial call still in flight
+     * after another cool-down counts as a failure.
+     * @method constructor
+     * @param  {Object}     [options]
+     * @param  {Number}     [options.failureThreshold=5]    Consecutive failures opening the breaker
+     * @param  {Number}     [options.coolDown=30000]        Milliseconds the breaker stays open
+     * @return {CircuitBreaker}
+     */
+    constructor({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, coolDown = DEFAULT_COOL_DOWN } = {}) {
+        if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+            throw new Error('circuitBreaker.failureThreshold must be a positive integer');
+        }
+
+        if (!Number.isInteger(coolDown) || coolDown < 1) {
+            throw new Error('circuitBreaker.coolDown must be a positive number of milliseconds');
+        }
+
+        this.failureThreshold = failureThreshold;
+        this.coolDown = coolDown;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = undefined;
+        this.trialInFlight = false;
+        this.trialStartedAt = undefined;
+    }
+
+    /**
+     * Determine whether a call may go through, letting one trial call through once the cool-down is over
+     * @method tryAcquire
+     * @return {Boolean}
+     */
+    tryAcquire() {
+        if (this.state === 'open' && this.retryAfter() === 0) {
+            this.state = 'halfOpen';
+        }
+
+        // the trial call hangs
+        if (this.state === 'halfOpen' && this.trialInFlight && Date.now() - this.trialStartedAt >= this.coolDown) {
+            this.recordFailure();
+
+            return false;
+        }
+
+        if (this.state === 'halfOpen' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            this.trialStartedAt = Date.now();
+
+            return true;
+        }
+
+        return this.state === 'closed';
+    }
+
+    /**
+     * Get the time until the breaker lets a trial call through
+     * @method retryAfter
+     * @return {Number}             Milliseconds, 0 when calls may go through
+     */
+    retryAfter() {
+        if (this.state !== 'open') {
+            return 0;
+        }
+
+        return Math.max(this.openedAt + this.coolDown - Date.now(), 0);
+    }
+
+    /**
+     * Record a call the scm answered, closing the breaker
+     * @method recordSuccess
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = undefined;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Record a call that tells nothing about the health of the scm (e.g. rejected before any request),
+     * letting another trial call through
+     * @method release
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Record a call the scm failed to answer, opening the breaker once the threshold is reached
+     * or when the trial call fails
+     * @method recordFailure
+     */
+    recordFailure() {
+        this.failures += 1;
+        this.trialInFlight = false;
+
+        if (this.state === 'halfOpen' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Get the state of the breaker
+     * @method stats
+     * @return {Object}             State (closed, open or halfOpen), consecutive failures and opening time
+     */
+    stats() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt === undefined ? undefined : new Date(this.openedAt).toISOString()
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Run an async function with a deadline: the result rejects once the timeout elapses or the signal of the caller
+ * aborts, without waiting for the function. The function gets a signal aborted at that moment, to stop its work.
+ * @method withDeadline
+ * @param  {Function}       fn                              Async function called with an AbortSignal
+ * @param  {Object}         options
+ * @param  {Number}         [options.timeout]               Milliseconds the function is allowed to take
+ * @param  {AbortSignal}    [options.signal]                Signal of the caller, rejecting with its reason on abort
+ * @param  {Function}       options.createTimeoutError      Function returning the error to reject with on timeout
+ * @return {Promise}                                        Result of the function
+ */
+function withDeadline(fn, { timeout, signal, createTimeoutError }) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    let timer;
+
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            clearTimeout(timer);
+
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+
+            callback(value);
+        };
+
+        controller.signal.addEventListener('abort', () => settle(reject, controller.signal.reason), { once: true });
+
+        if (signal && signal.aborted) {
+            abort();
+        } else if (signal) {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        if (timeout && !controller.signal.aborted) {
+            timer = setTimeout(() => controller.abort(createTimeoutError()), timeout);
+        }
+
+        fn(controller.signal).then(
+            value => settle(resolve, value),
+            err => settle(reject, err)
+        );
+    });
+}
+
+module.exports = {
+    withDeadline
+};
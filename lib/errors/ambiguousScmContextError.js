@@ -0,0 +1,21 @@
+'use strict';
+
+class AmbiguousScmContextError extends Error {
+    /**
+     * Error for a host that more than one registered scmContext serves
+     * @method constructor
+     * @param  {String}     hostname        Requested hostname
+     * @param  {Array}      scmContexts     Registered scm contexts matching the hostname
+     * @return {AmbiguousScmContextError}
+     */
+    constructor(hostname, scmContexts) {
+        super(`Host ${hostname} matches multiple scmContexts: ${scmContexts.join(', ')}. Please specify scmContext`);
+
+        this.name = 'AmbiguousScmContextError';
+        this.statusCode = 400;
+        this.hostname = hostname;
+        this.scmContexts = scmContexts;
+    }
+}
+
+module.exports = AmbiguousScmContextError;
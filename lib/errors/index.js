@@ -0,0 +1,13 @@
+'use strict';
+
+const AmbiguousScmContextError = require('./ambiguousScmContextError');
+const ScmTimeoutError = require('./scmTimeoutError');
+const ScmUnavailableError = require('./scmUnavailableError');
+const UnknownScmContextError = require('./unknownScmContextError');
+
+module.exports = {
+    AmbiguousScmContextError,
+    ScmTimeoutError,
+    ScmUnavailableError,
+    UnknownScmContextError
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+class ScmTimeoutError extends Error {
+    /**
+     * Error for a call to an scm that did not settle before its deadline
+     * @method constructor
+     * @param  {String}     scmContext      Scm context
+     * @param  {String}     method          Name of the scm method
+     * @param  {Number}     timeout         Milliseconds the call was allowed to take
+     * @return {ScmTimeoutError}
+     */
+    constructor(scmContext, method, timeout) {
+        super(`Call to ${method} of scm context ${scmContext} timed out after ${timeout} ms`);
+
+        this.name = 'ScmTimeoutError';
+        this.statusCode = 504;
+        this.scmContext = scmContext;
+        this.method = method;
+        this.timeout = timeout;
+    }
+}
+
+module.exports = ScmTimeoutError;
@@ -0,0 +1,21 @@
+'use strict';
+
+class ScmUnavailableError extends Error {
+    /**
+     * Error for a call failed fast because the circuit breaker of its scmContext is open
+     * @method constructor
+     * @param  {String}     scmContext      Scm context
+     * @param  {Number}     retryAfter      Milliseconds until the scm is tried again
+     * @return {ScmUnavailableError}
+     */
+    constructor(scmContext, retryAfter) {
+        super(`Scm context ${scmContext} is unavailable. Retry after ${Math.ceil(retryAfter / 1000)} seconds`);
+
+        this.name = 'ScmUnavailableError';
+        this.statusCode = 503;
+        this.scmContext = scmContext;
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = ScmUnavailableError;
@@ -0,0 +1,22 @@
+'use strict';
+
+class UnknownScmContextError extends Error {
+    /**
+     * Error for an scmContext that no registered scm module serves
+     * @method constructor
+     * @param  {String}     scmContext      Requested scm context
+     * @param  {Array}      scmContexts     Registered scm contexts
+     * @param  {String}     [message]       Message, defaults to one listing the registered scm contexts
+     * @return {UnknownScmContextError}
+     */
+    constructor(scmContext, scmContexts, message) {
+        super(message || `Unknown scmContext ${scmContext}. Known scmContexts: ${scmContexts.join(', ') || 'none'}`);
+
+        this.name = 'UnknownScmContextError';
+        this.statusCode = 404;
+        this.scmContext = scmContext;
+        this.scmContexts = scmContexts;
+    }
+}
+
+module.exports = UnknownScmContextError;
@@ -0,0 +1,92 @@
+'use strict';
+
+const dataSchema = require('screwdriver-data-schema');
+
+const HOOK_SCHEMA = dataSchema.core.scm.hook;
+// fields plugins may report beyond the shared schema, for webhook filters
+const EXTENSION_FIELDS = ['prDraft'];
+// names used by some plugins for the types and actions of the shared schema
+const TYPE_ALIASES = {
+    pull_request: 'pr',
+    pullrequest: 'pr',
+    merge_request: 'pr'
+};
+const ACTION_ALIASES = {
+    open: 'opened',
+    reopen: 'reopened',
+    close: 'closed',
+    merged: 'closed',
+    synchronize: 'synchronized',
+    sync: 'synchronized',
+    update: 'synchronized',
+    updated: 'synchronized',
+    tag_push: 'tag',
+    published: 'release'
+};
+
+/**
+ * Map a name onto the vocabulary of the shared schema
+ * @method normalizeName
+ * @param  {String}     name        Name of a type or an action (e.g. Synchronize)
+ * @param  {Object}     aliases     Map of lowercased names to names of the shared schema
+ * @return {String}                 Name of the shared schema (e.g. synchronized)
+ */
+function normalizeName(name, aliases) {
+    if (typeof name !== 'string') {
+        return name;
+    }
+
+    const lowercased = name.toLowerCase();
+
+    return aliases[lowercased] || lowercased;
+}
+
+/**
+ * Normalize a parseHook result: drop null fields and map the type and action onto the shared schema
+ * @method normalizeHook
+ * @param  {Object}     hook        parseHook result of a plugin
+ * @return {Object}                 Normalized copy of the result
+ */
+function normalizeHook(hook) {
+    const normalized = Object.keys(hook).reduce((result, key) => {
+        if (hook[key] !== null && hook[key] !== undefined) {
+            result[key] = hook[key];
+        }
+
+        return result;
+    }, {});
+
+    if (normalized.type !== undefined) {
+        normalized.type = normalizeName(normalized.type, TYPE_ALIASES);
+    }
+
+    if (normalized.action !== undefined) {
+        normalized.action = normalizeName(normalized.action, ACTION_ALIASES);
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate a parseHook result against the shared schema, apart from the extension fields (e.g. prDraft)
+ * @method validateHook
+ * @param  {Object}     hook        parseHook result
+ * @return {String}                 Problem found, or undefined when the result is valid
+ */
+function validateHook(hook) {
+    const schemaHook = Object.keys(hook)
+        .filter(key => !EXTENSION_FIELDS.includes(key))
+        .reduce((result, key) => {
+            result[key] = hook[key];
+
+            return result;
+        }, {});
+    const { error } = HOOK_SCHEMA.validate(schemaHook);
+
+    return error ? error.message : undefined;
+}
+
+module.exports = {
+    normalizeHook,
+    validateHook
+};
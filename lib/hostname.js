@@ -0,0 +1,75 @@
+'use strict';
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+// scp-like ssh url (git@github.com:org/repo.git) or scmUri (github.com:12345:main)
+const SCP_PATTERN = /^(?:[^@/]+@)?(\[[^\]]+\]|[^:/#]+)/;
+const HOST_PATTERN = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/;
+
+/**
+ * Get the hostname, without port and lowercased, of a checkoutUrl or scmUri
+ * @method getHostname
+ * @param  {String}     url     Url (e.g. https://GHE.corp:8443/org/repo, git@ghe.corp:org/repo.git
+ *                              or ghe.corp:12345:main)
+ * @return {String}             Hostname (e.g. ghe.corp), or undefined when the url cannot be parsed
+ */
+function getHostname(url) {
+    if (typeof url !== 'string' || !url) {
+        return undefined;
+    }
+
+    if (SCHEME_PATTERN.test(url)) {
+        try {
+            return new URL(url).hostname.toLowerCase() || undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    const match = url.match(SCP_PATTERN);
+
+    return match ? match[1].toLowerCase() : undefined;
+}
+
+/**
+ * Split a host into its lowercased hostname and its port
+ * @method parseHost
+ * @param  {String}     host    Host (e.g. GHE.corp:8443)
+ * @return {Object}             Hostname and port (e.g. { hostname: 'ghe.corp', port: '8443' }),
+ *                              port is undefined when the host has none
+ */
+function parseHost(host) {
+    const match = String(host).trim().match(HOST_PATTERN);
+
+    if (!match) {
+        return { hostname: String(host).trim().toLowerCase(), port: undefined };
+    }
+
+    return { hostname: match[1].toLowerCase(), port: match[2] };
+}
+
+/**
+ * Get the host of an scmContext
+ * @method getScmContextHost
+ * @param  {String}     scmContext      Scm context (e.g. github:GHE.corp)
+ * @return {String}                     Host (e.g. GHE.corp)
+ */
+function getScmContextHost(scmContext) {
+    return scmContext.slice(scmContext.indexOf(':') + 1);
+}
+
+/**
+ * Get the lowercased hostname of an scmContext
+ * @method getScmContextHostname
+ * @param  {String}     scmContext      Scm context (e.g. github:GHE.corp)
+ * @return {String}                     Hostname (e.g. ghe.corp)
+ */
+function getScmContextHostname(scmContext) {
+    return parseHost(getScmContextHost(scmContext)).hostname;
+}
+
+module.exports = {
+    getHostname,
+    getScmContextHost,
+    getScmContextHostname,
+    parseHost
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+
+const REFERENCE_PATTERN = /\$\{(env|file):([^}]+)\}/g;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Resolve a single reference
+ * @method resolveReference
+ * @param  {String}     type        Type of the reference (env or file)
+ * @param  {String}     name        Name of the environment variable, or path of the file
+ * @param  {String}     path        Path of the value in the config, for error messages
+ * @return {String}                 Resolved value
+ */
+function resolveReference(type, name, path) {
+    if (type === 'env') {
+        const value = process.env[name];
+
+        if (value === undefined) {
+            throw new Error(`Environment variable ${name} referenced by ${path} is not set`);
+        }
+
+        return value;
+    }
+
+    try {
+        // drop the trailing newline most editors and secret mounts add
+        return fs.readFileSync(name, 'utf8').replace(/\r?\n$/, '');
+    } catch (err) {
+        throw new Error(`File ${name} referenced by ${path} cannot be read: ${err.code || err.message}`);
+    }
+}
+
+/**
+ * Resolve ${env:NAME} and ${file:/path} references anywhere in a config
+ * @method interpolate
+ * @param  {*}          value       Config, or a value in it
+ * @param  {Set}        secrets     Collects every resolved value, so it can be redacted from logs
+ * @param  {String}     [path]      Path of the value in the config, for error messages
+ * @return {*}                      Copy of the config with the references resolved
+ */
+function interpolate(value, secrets, path = 'config') {
+    if (typeof value === 'string') {
+        return value.replace(REFERENCE_PATTERN, (reference, type, name) => {
+            const resolved = resolveReference(type, name.trim(), path);
+
+            if (resolved) {
+                secrets.add(resolved);
+            }
+
+            return resolved;
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item, i) => interpolate(item, secrets, `${path}[${i}]`));
+    }
+
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = interpolate(value[key], secrets, `${path}.${key}`);
+
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/**
+ * Replace every secret in a message
+ * @method redact
+ * @param  {String}     message     Message to be logged
+ * @param  {Set}        secrets     Values to redact
+ * @return {String}                 Message without secrets
+ */
+function redact(message, secrets) {
+    let result = String(message);
+
+    secrets.forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+
+    return result;
+}
+
+module.exports = {
+    interpolate,
+    redact
+};
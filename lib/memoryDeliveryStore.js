@@ -0,0 +1,67 @@
+'use strict';
+
+const DEFAULT_MAX_SIZE = 10000;
+
+class MemoryDeliveryStore {
+    /**
+     * In-memory store of the webhook deliveries seen recently, evicting the least recently seen ones when full.
+     * Stores shared by several API instances (e.g. in Redis) implement the same add and delete methods.
+     * @method constructor
+     * @param  {Object}     [options]
+     * @param  {Number}     [options.maxSize=10000]     Maximum number of deliveries to remember
+     * @return {MemoryDeliveryStore}
+     */
+    constructor({ maxSize = DEFAULT_MAX_SIZE } = {}) {
+        if (!Number.isInteger(maxSize) || maxSize < 1) {
+            throw new Error('maxSize must be a positive integer');
+        }
+
+        this.maxSize = maxSize;
+        this.deliveries = new Map();
+    }
+
+    /**
+     * Remember a delivery
+     * @async  add
+     * @param  {String}     deliveryId      Delivery identifier
+     * @param  {Number}     ttl             Time in milliseconds to remember the delivery for
+     * @return {Promise}                    Resolves false when the delivery was already seen within its ttl, else true
+     */
+    async add(deliveryId, ttl) {
+        const now = Date.now();
+        const expiresAt = this.deliveries.get(deliveryId);
+
+        this.deliveries.delete(deliveryId);
+
+        if (expiresAt > now) {
+            this.deliveries.set(deliveryId, expiresAt);
+
+            return false;
+        }
+
+        this.deliveries.set(deliveryId, now + ttl);
+
+        // evict the expired deliveries and the least recently seen ones
+        for (const [id, expiry] of this.deliveries) {
+            if (expiry > now && this.deliveries.size <= this.maxSize) {
+                break;
+            }
+
+            this.deliveries.delete(id);
+        }
+
+        return true;
+    }
+
+    /**
+     * Forget a delivery, so that it is processed again when redelivered
+     * @async  delete
+     * @param  {String}     deliveryId      Delivery identifier
+     * @return {Promise}
+     */
+    async delete(deliveryId) {
+        this.deliveries.delete(deliveryId);
+    }
+}
+
+module.exports = MemoryDeliveryStore;
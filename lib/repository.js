@@ -0,0 +1,83 @@
+'use strict';
+
+const hoek = require('@hapi/hoek');
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Get the full name of the repository a config refers to
+ * @method getRepositoryName
+ * @param  {Object}     config                  Configuration
+ * @param  {Object}     [config.scmRepo]        Scm repository, its name is preferred (e.g. { name: 'org/repo' })
+ * @param  {String}     [config.checkoutUrl]    Checkout url (e.g. git@github.com:org/repo.git#main)
+ * @return {String}                             Repository name (e.g. org/repo), or undefined when unknown
+ */
+function getRepositoryName(config) {
+    const name = hoek.reach(config, 'scmRepo.name');
+
+    if (typeof name === 'string' && name) {
+        return name;
+    }
+
+    const checkoutUrl = hoek.reach(config, 'checkoutUrl');
+
+    if (typeof checkoutUrl !== 'string' || !checkoutUrl) {
+        return undefined;
+    }
+
+    const url = checkoutUrl.split('#')[0];
+    let path;
+
+    if (SCHEME_PATTERN.test(url)) {
+        try {
+            path = new URL(url).pathname;
+        } catch (err) {
+            return undefined;
+        }
+    } else {
+        path = url.slice(url.indexOf(':') + 1);
+    }
+
+    return path.replace(/^\/+/, '').replace(/\.git$/, '') || undefined;
+}
+
+/**
+ * Get the id of the repository an scmUri refers to, with its host
+ * @method getRepositoryId
+ * @param  {Object}     config                  Configuration
+ * @param  {String}     [config.scmUri]         Scm uri (e.g. github.com:12345:main)
+ * @return {String}                             Repository id with its host (e.g. github.com:12345), or undefined when
+ *                                              unknown
+ */
+function getRepositoryId(config) {
+    const scmUri = hoek.reach(config, 'scmUri');
+    const [host, id] = typeof scmUri === 'string' ? scmUri.split(':') : [];
+
+    return host && id ? `${host}:${id}` : undefined;
+}
+
+/**
+ * Compile a repository glob, where * matches within a path segment and ** across segments
+ * @method compileRepositoryPattern
+ * @param  {String}     glob        Repository glob (e.g. bu-a/* or shared/**)
+ * @return {RegExp}                 Case-insensitive regular expression matching the full repository name
+ */
+function compileRepositoryPattern(glob) {
+    const source = glob
+        .split('**')
+        .map(part =>
+            part
+                .split('*')
+                .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('[^/]*')
+        )
+        .join('.*');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = {
+    compileRepositoryPattern,
+    getRepositoryId,
+    getRepositoryName
+};
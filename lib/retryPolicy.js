@@ -0,0 +1,82 @@
+'use strict';
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_MIN_DELAY = 100;
+const DEFAULT_MAX_DELAY = 2000;
+
+class RetryPolicy {
+    /**
+     * Retry policy of a read method. Retries wait with exponential backoff and full jitter,
+     * a random delay up to minDelay * 2^attempt capped to maxDelay.
+     * @method constructor
+     * @param  {Object}     [options]
+     * @param  {Number}     [options.retries=2]         Retries after the first attempt, 0 disables retrying
+     * @param  {Number}     [options.minDelay=100]      Milliseconds the backoff of the first retry is capped to
+     * @param  {Number}     [options.maxDelay=2000]     Milliseconds the backoff of any retry is capped to
+     * @return {RetryPolicy}
+     */
+    constructor({ retries = DEFAULT_RETRIES, minDelay = DEFAULT_MIN_DELAY, maxDelay = DEFAULT_MAX_DELAY } = {}) {
+        if (!Number.isInteger(retries) || retries < 0) {
+            throw new Error('retry.retries must be a non-negative integer');
+        }
+
+        if (!Number.isInteger(minDelay) || minDelay < 1) {
+            throw new Error('retry.minDelay must be a positive number of milliseconds');
+        }
+
+        if (!Number.isInteger(maxDelay) || maxDelay < minDelay) {
+            throw new Error('retry.maxDelay must be a number of milliseconds not lower than retry.minDelay');
+        }
+
+        this.retries = retries;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+    }
+
+    /**
+     * Get the time to wait before a retry
+     * @method getDelay
+     * @param  {Number}     attempt     Number of failed attempts so far, starting at 1
+     * @return {Number}                 Milliseconds
+     */
+    getDelay(attempt) {
+        const cap = Math.min(this.minDelay * 2 ** (attempt - 1), this.maxDelay);
+
+        return Math.floor(Math.random() * cap);
+    }
+
+    /**
+     * Wait before a retry
+     * @async  wait
+     * @param  {Number}         attempt     Number of failed attempts so far, starting at 1
+     * @param  {AbortSignal}    [signal]    Signal ending the wait when aborted, rejecting with its reason
+     * @return {Promise}
+     */
+    wait(attempt, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer;
+            const abort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+
+            timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+
+                resolve();
+            }, this.getDelay(attempt));
+
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,199 @@
+'use strict';
+
+class Throttle {
+    /**
+     * Throttle of an scmContext. It limits the calls in flight, queueing the others in order, and paces calls once
+     * the rate-limit budget reported by the scm runs low, spreading the remaining calls until the budget resets.
+     * @method constructor
+     * @param  {Object}     [options]
+     * @param  {Number}     [options.concurrency]       Calls in flight at once, unlimited by default
+     * @param  {Number}     [options.minRemaining=0]    Remaining rate-limit budget from which calls are paced
+     * @return {Throttle}
+     */
+    constructor({ concurrency = Infinity, minRemaining = 0 } = {}) {
+        if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1)) {
+            throw new Error('throttle.concurrency must be a positive integer');
+        }
+
+        if (!Number.isInteger(minRemaining) || minRemaining < 0) {
+            throw new Error('throttle.minRemaining must be a non-negative integer');
+        }
+
+        this.concurrency = concurrency;
+        this.minRemaining = minRemaining;
+        this.active = 0;
+        this.queue = [];
+        this.maxQueued = 0;
+        this.waited = 0;
+        this.totalWait = 0;
+        this.maxWait = 0;
+        this.paced = 0;
+        this.rateLimit = undefined;
+        this.nextAllowedAt = 0;
+    }
+
+    /**
+     * Wait for a free slot, in the order of the calls
+     * @async  acquire
+     * @param  {AbortSignal}    [signal]    Signal leaving the queue when aborted, rejecting with its reason
+     * @return {Promise}                    Resolves with a function releasing the slot
+     */
+    acquire(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        if (this.active < this.concurrency) {
+            this.active += 1;
+
+            return Promise.resolve(this.createRelease());
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { enqueuedAt: Date.now() };
+            const abort = () => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                reject(signal.reason);
+            };
+
+            entry.resolve = () => {
+                const wait = Date.now() - entry.enqueuedAt;
+
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+
+                this.waited += 1;
+                this.totalWait += wait;
+                this.maxWait = Math.max(this.maxWait, wait);
+                resolve(this.createRelease());
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+
+            this.queue.push(entry);
+            this.maxQueued = Math.max(this.maxQueued, this.queue.length);
+        });
+    }
+
+    /**
+     * Create the function releasing a slot to the next call in the queue, only once
+     * @method createRelease
+     * @return {Function}
+     */
+    createRelease() {
+        let released = false;
+
+        return () => {
+            if (released) {
+                return;
+            }
+
+            released = true;
+
+            const next = this.queue.shift();
+
+            if (next) {
+                next.resolve();
+            } else {
+                this.active -= 1;
+            }
+        };
+    }
+
+    /**
+     * Record the rate-limit budget reported by the scm
+     * @method setRateLimit
+     * @param  {Object}     rateLimit               Rate-limit budget, ignored without a numeric remaining
+     * @param  {Number}     rateLimit.remaining     Calls left until the budget resets
+     * @param  {Number}     [rateLimit.resetAt]     Time the budget resets, in milliseconds since epoch
+     */
+    setRateLimit(rateLimit) {
+        if (rateLimit && Number.isFinite(rateLimit.remaining)) {
+            this.rateLimit = { remaining: rateLimit.remaining, resetAt: rateLimit.resetAt };
+        }
+    }
+
+    /**
+     * Get the time between calls spreading the remaining budget until it resets, once it runs low
+     * @method getDelay
+     * @return {Number}             Milliseconds
+     */
+    getDelay() {
+        if (!this.rateLimit || this.rateLimit.remaining > this.minRemaining || !this.rateLimit.resetAt) {
+            return 0;
+        }
+
+        const { remaining, resetAt } = this.rateLimit;
+
+        return Math.ceil(Math.max(resetAt - Date.now(), 0) / (Math.max(remaining, 0) + 1));
+    }
+
+    /**
+     * Wait before a call while the rate-limit budget runs low. Each call takes the next slot, one delay after the
+     * slot of the previous call, so that calls waiting together are still spread.
+     * @async  pace
+     * @param  {AbortSignal}    [signal]    Signal ending the wait when aborted, rejecting with its reason
+     * @return {Promise}
+     */
+    pace(signal) {
+        const interval = this.getDelay();
+
+        if (interval === 0) {
+            return Promise.resolve();
+        }
+
+        const now = Date.now();
+        const start = Math.max(now, this.nextAllowedAt) + interval;
+        const delay = start - now;
+
+        this.nextAllowedAt = start;
+        this.paced += 1;
+
+        return new Promise((resolve, reject) => {
+            let timer;
+            const abort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+
+            timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+
+                resolve();
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Get the queue and rate-limit state of the throttle
+     * @method stats
+     * @return {Object}             Calls in flight, queue depth (current and maximum), wait times in milliseconds
+     *                              of the calls that waited in the queue, paced calls and last reported budget
+     */
+    stats() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            maxQueued: this.maxQueued,
+            waited: this.waited,
+            averageWait: this.waited === 0 ? 0 : Math.round(this.totalWait / this.waited),
+            maxWait: this.maxWait,
+            paced: this.paced,
+            rateLimit: this.rateLimit && {
+                remaining: this.rateLimit.remaining,
+                resetAt: this.rateLimit.resetAt && new Date(this.rateLimit.resetAt).toISOString()
+            }
+        };
+    }
+}
+
+module.exports = Throttle;
@@ -0,0 +1,121 @@
+'use strict';
+
+const { getHostname, getScmContextHostname } = require('./hostname');
+
+// event headers sent by each scm type; gitea also sends x-github-event, so it is checked first
+const EVENT_HEADERS = [
+    ['x-gitea-event', 'gitea'],
+    ['x-github-event', 'github'],
+    ['x-gitlab-event', 'gitlab'],
+    ['x-event-key', 'bitbucket']
+];
+// headers naming the instance that sent the webhook
+const HOST_HEADERS = ['x-github-enterprise-host', 'x-gitlab-instance'];
+// headers identifying a delivery, which stay the same when the webhook is redelivered
+const DELIVERY_HEADERS = ['x-github-delivery', 'x-gitea-delivery', 'x-gitlab-event-uuid', 'x-request-uuid'];
+// headers carrying credentials; signatures are kept, so that recorded webhooks can be replayed
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-gitlab-token'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Get a header regardless of its case
+ * @method getHeader
+ * @param  {Object}     headers     Request headers
+ * @param  {String}     name        Lowercased name of the header
+ * @return {String}                 Value of the header, or undefined when it is not set
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    const value = key === undefined ? undefined : headers[key];
+
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Recognize the scm type and host of a webhook from well-known headers
+ * @method getWebhookHints
+ * @param  {Object}     headers         Request headers of the webhook
+ * @param  {Array}      [hostHeaders]   Additional headers naming the host that sent the webhook
+ * @return {Object}                     Scm type (e.g. github), event (e.g. push) and hostname (e.g. ghe.corp),
+ *                                      each undefined when no header names it
+ */
+function getWebhookHints(headers, hostHeaders = []) {
+    const eventHeader = EVENT_HEADERS.find(([name]) => getHeader(headers, name) !== undefined);
+    const hostHeader = [...HOST_HEADERS, ...hostHeaders.map(name => name.toLowerCase())].find(
+        name => getHeader(headers, name) !== undefined
+    );
+
+    return {
+        type: eventHeader ? eventHeader[1] : undefined,
+        event: eventHeader ? String(getHeader(headers, eventHeader[0])) : undefined,
+        hostname: hostHeader ? getHostname(String(getHeader(headers, hostHeader)).trim()) : undefined
+    };
+}
+
+/**
+ * Get the identifier of a webhook delivery
+ * @method getDeliveryId
+ * @param  {Object}     headers         Request headers of the webhook
+ * @return {String}                     Delivery identifier, or undefined when the scm sends none
+ */
+function getDeliveryId(headers) {
+    const header = DELIVERY_HEADERS.find(name => getHeader(headers, name));
+
+    return header ? String(getHeader(headers, header)) : undefined;
+}
+
+/**
+ * Copy the headers of a webhook without the values of the headers carrying credentials
+ * @method sanitizeHeaders
+ * @param  {Object}     headers             Request headers of the webhook
+ * @param  {Array}      [redactHeaders]     Additional headers to redact
+ * @return {Object}                         Sanitized headers
+ */
+function sanitizeHeaders(headers, redactHeaders = []) {
+    const sensitive = [...SENSITIVE_HEADERS, ...redactHeaders.map(name => name.toLowerCase())];
+
+    return Object.keys(headers || {}).reduce((result, name) => {
+        result[name] = sensitive.includes(name.toLowerCase()) ? REDACTED : headers[name];
+
+        return result;
+    }, {});
+}
+
+/**
+ * Determine whether an event is missing from the webhook events mapping of an scm
+ * @method isUnknownEvent
+ * @param  {Object}     mapping         Webhook events mapping (e.g. { '~pr': 'pull_request', '~commit': 'push' })
+ * @param  {String}     event           Event of the webhook (e.g. ping)
+ * @return {Boolean}                    false when the event or the mapping is not known
+ */
+function isUnknownEvent(mapping, event) {
+    if (!event || !mapping || Object.getPrototypeOf(mapping) !== Object.prototype) {
+        return false;
+    }
+
+    const events = Object.values(mapping).flat();
+
+    return events.length > 0 && !events.includes(event);
+}
+
+/**
+ * Determine whether an scmContext may have sent a webhook with these hints
+ * @method matchesWebhookHints
+ * @param  {String}     scmContext      Scm context (e.g. github:ghe.corp)
+ * @param  {Object}     hints           Hints returned by getWebhookHints
+ * @return {Boolean}
+ */
+function matchesWebhookHints(scmContext, { type, hostname }) {
+    return (
+        (!type || scmContext.split(':')[0] === type) && (!hostname || getScmContextHostname(scmContext) === hostname)
+    );
+}
+
+module.exports = {
+    getDeliveryId,
+    getHeader,
+    getWebhookHints,
+    isUnknownEvent,
+    matchesWebhookHints,
+    sanitizeHeaders
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const { compileRepositoryPattern, getRepositoryName } = require('./repository');
+
+// fields of a filter rule, and how to get them from a parseHook result
+const FILTER_FIELDS = {
+    scmContext: hook => hook.scmContext,
+    type: hook => hook.type,
+    action: hook => hook.action,
+    branch: hook => hook.branch,
+    repository: hook => getRepositoryName({ checkoutUrl: hook.checkoutUrl }),
+    username: hook => hook.username,
+    // draft flag of a pull request, reported by the plugins that know it as prDraft
+    draft: hook => (typeof hook.prDraft === 'boolean' ? String(hook.prDraft) : undefined)
+};
+
+/**
+ * Validate and compile webhook filter rules
+ * @method compileFilters
+ * @param  {Array}      filters             Filter rules (e.g. [{ name: 'dependabot', branch: 'dependabot/**' }]),
+ *                                          where each field is a glob or an array of globs, and draft a boolean
+ * @return {Array}                          Compiled rules, with the patterns of each field
+ */
+function compileFilters(filters) {
+    if (!Array.isArray(filters)) {
+        throw new Error('webhooks.filters must be an array of rules');
+    }
+
+    return filters.map((filter, i) => {
+        const name = filter && filter.name;
+
+        if (!name || typeof name !== 'string') {
+            throw new Error(`webhooks.filters[${i}] must have a name`);
+        }
+
+        const unknownFields = Object.keys(filter).filter(field => field !== 'name' && !FILTER_FIELDS[field]);
+
+        if (unknownFields.length > 0) {
+            throw new Error(`Filter ${name} has unknown fields: ${unknownFields.join(', ')}`);
+        }
+
+        const fields = Object.keys(filter).filter(field => field !== 'name');
+
+        if (fields.length === 0) {
+            throw new Error(`Filter ${name} must have at least one of ${Object.keys(FILTER_FIELDS).join(', ')}`);
+        }
+
+        const patterns = fields.reduce((result, field) => {
+            const globs = (Array.isArray(filter[field]) ? filter[field] : [filter[field]]).map(glob =>
+                typeof glob === 'boolean' ? String(glob) : glob
+            );
+
+            if (globs.length === 0 || globs.some(glob => !glob || typeof glob !== 'string')) {
+                throw new Error(`${field} of filter ${name} must be a glob or an array of globs`);
+            }
+
+            result[field] = globs.map(compileRepositoryPattern);
+
+            return result;
+        }, {});
+
+        return { name, patterns };
+    });
+}
+
+/**
+ * Find the first filter rule matching a parseHook result on all its fields
+ * @method findFilter
+ * @param  {Array}      filters             Rules compiled by compileFilters
+ * @param  {Object}     hook                parseHook result
+ * @return {Object}                         Matching rule, or undefined when there is none
+ */
+function findFilter(filters, hook) {
+    return filters.find(({ patterns }) =>
+        Object.keys(patterns).every(field => {
+            const value = FILTER_FIELDS[field](hook);
+
+            return typeof value === 'string' && patterns[field].some(pattern => pattern.test(value));
+        })
+    );
+}
+
+module.exports = {
+    compileFilters,
+    findFilter
+};
@@ -1,7 +1,10 @@
 'use strict';
 
-/* eslint-disable no-underscore-dangle */
+/* eslint-disable no-underscore-dangle, no-template-curly-in-string */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const chai = require('chai');
 const { assert } = chai;
 const mockery = require('mockery');
@@ -36,6 +39,14 @@ describe('index test', () => {
     const githubScmContext = 'github:github.com';
     const exampleScmContext = 'example:example.com';
     const gitlabScmContext = 'gitlab:gitlab.com';
+    const createHook = plugin => ({
+        type: 'repo',
+        action: 'push',
+        branch: 'main',
+        checkoutUrl: `git@${plugin}.com:screwdriver-cd/${plugin}.git#main`,
+        sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+        username: plugin
+    });
     const initMock = plugin => {
         const mock = {};
 
@@ -45,7 +56,6 @@ describe('index test', () => {
             'addWebhook',
             'addDeployKey',
             'parseUrl',
-            'parseHook',
             'getCheckoutCommand',
             'decorateUrl',
             'decorateCommit',
@@ -66,6 +76,7 @@ describe('index test', () => {
         ].forEach(method => {
             mock[method] = sinon.stub().resolves(plugin);
         });
+        mock.parseHook = sinon.stub().resolves(createHook(plugin));
         mock.getBellConfiguration = sinon.stub().resolves({ [plugin]: `${plugin}Bell` });
         mock.stats = sinon.stub().returns({ [plugin]: { requests: plugin } });
         mock.canHandleWebhook = sinon.stub().resolves(true);
@@ -352,6 +363,231 @@ describe('index test', () => {
         });
     });
 
+    describe('strict mode', () => {
+        it('registers plugins when the scms config is valid', () => {
+            scm = new Scm({
+                strict: true,
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        config: {}
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext, exampleScmContext]);
+        });
+
+        it('throws one error listing every problem', () => {
+            let error;
+
+            try {
+                scm = new Scm({
+                    strict: true,
+                    scms: {
+                        github: {
+                            plugin: 'github'
+                        },
+                        githubDuplicate: {
+                            plugin: 'github'
+                        },
+                        DNE: {
+                            plugin: 'DNE'
+                        },
+                        router: {
+                            plugin: 'router'
+                        },
+                        badConfig: {
+                            plugin: 'example',
+                            config: 'config'
+                        },
+                        notMap: 'value'
+                    }
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            assert.instanceOf(error, Error);
+            assert.deepEqual(error.errors, [
+                `githubDuplicate: Duplicate scm config for ${githubScmContext}`,
+                'DNE: Scm plugin DNE is not supported',
+                'router: The plugin of scm-router can not be specified for scms setting',
+                'badConfig: "config" must be of type object',
+                'notMap: "scm" must be of type object'
+            ]);
+            assert.include(error.message, 'Invalid scms config:');
+            assert.include(error.message, '  - DNE: Scm plugin DNE is not supported');
+        });
+
+        it('throws an error when the plugin returns an illegal scmContext', () => {
+            githubScmMock.getScmContexts.returns(['']);
+
+            assert.throws(
+                () => {
+                    scm = new Scm({
+                        strict: true,
+                        scms: {
+                            github: {
+                                plugin: 'github'
+                            }
+                        }
+                    });
+                },
+                Error,
+                'github: Illegal scmContext for github scm plugin'
+            );
+        });
+
+        it('names anonymous factories by their display name', () => {
+            const AnonScm = testScm.createMock({ ...initMock('anon'), getScmContexts: () => [''] });
+            const [factory] = [options => new AnonScm(options)];
+
+            assert.throws(
+                () => {
+                    scm = new Scm({ strict: true, scms: { anon: { factory, config: {} } } });
+                },
+                Error,
+                'anon: Illegal scmContext for anon scm plugin'
+            );
+        });
+
+        it('throws an error when the scms config is empty', () => {
+            assert.throws(
+                () => {
+                    scm = new Scm({ strict: true, scms: {} });
+                },
+                Error,
+                '"scms" must have at least 1 key'
+            );
+        });
+    });
+
+    describe('plugin specifiers', () => {
+        const gerritScmContext = 'gerrit:gerrit.com';
+        const gerritPluginOptions = { gerritkey: 'gerritvalue' };
+        let gerritScmMock;
+
+        beforeEach(() => {
+            gerritScmMock = initMock('gerrit');
+        });
+
+        it('loads a plugin from a scoped package name', () => {
+            mockery.registerMock('@ourco/scm-gerrit', testScm.createMock(gerritScmMock));
+
+            scm = new Scm({
+                scms: {
+                    gerrit: {
+                        module: '@ourco/scm-gerrit',
+                        config: gerritPluginOptions
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [gerritScmContext]);
+            assert.deepEqual(scm.scms[gerritScmContext].constructorParams, {
+                ...gerritPluginOptions,
+                displayName: 'gerrit'
+            });
+        });
+
+        it('prefers the module over the plugin naming convention', () => {
+            mockery.registerMock('/opt/plugins/scm-github-fork', testScm.createMock(gerritScmMock));
+
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        module: '/opt/plugins/scm-github-fork'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [gerritScmContext]);
+        });
+
+        it('constructs a plugin from a class', () => {
+            scm = new Scm({
+                scms: {
+                    gerrit: {
+                        factory: testScm.createMock(gerritScmMock),
+                        config: gerritPluginOptions
+                    }
+                }
+            });
+
+            assert.deepEqual(scm.scms[gerritScmContext].constructorParams, {
+                ...gerritPluginOptions,
+                displayName: 'gerrit'
+            });
+        });
+
+        it('constructs a plugin from a factory function', () => {
+            const GerritScm = testScm.createMock(gerritScmMock);
+            const factory = sinon.spy(options => new GerritScm(options));
+
+            scm = new Scm({
+                scms: {
+                    gerrit: {
+                        factory,
+                        config: gerritPluginOptions
+                    }
+                }
+            });
+
+            assert.calledWith(factory, { ...gerritPluginOptions, displayName: 'gerrit' });
+            assert.instanceOf(scm.scms[gerritScmContext], GerritScm);
+        });
+
+        it('skips a module that cannot be loaded', () => {
+            scm = new Scm({
+                scms: {
+                    gerrit: {
+                        module: '@ourco/scm-DNE'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [exampleScmContext]);
+        });
+
+        it('skips a factory that is not a function', () => {
+            scm = new Scm({
+                scms: {
+                    gerrit: {
+                        factory: 'gerrit'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [exampleScmContext]);
+        });
+
+        it('skips a factory returning scm-router', () => {
+            scm = new Scm({
+                scms: {
+                    router: {
+                        factory: options => new Scm({ scms: { example: { plugin: 'example', config: options } } })
+                    },
+                    github: {
+                        plugin: 'github'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext]);
+        });
+    });
+
     describe('loadPlugin', () => {
         let githubOptions;
         let exampleOptions;
@@ -455,122 +691,1821 @@ describe('index test', () => {
         });
     });
 
-    describe('chooseWebhookScm', () => {
-        const headers = { key: 'headers' };
-        const payload = { key: 'payload' };
+    describe('multiple scmContexts', () => {
+        const gheScmContext = 'github:ghe.com';
 
-        it('choose a webhookScm module', () =>
-            scm
-                .chooseWebhookScm(headers, payload)
-                .then(module => module.dummyFunction(headers, payload))
-                .then(result => {
-                    assert.strictEqual(result, 'example');
-                    assert.notCalled(githubScmMock.dummyFunction);
-                    assert.notCalled(gitlabScmMock.dummyFunction);
-                    assert.calledOnce(exampleScmMock.dummyFunction);
-                    assert.calledWith(exampleScmMock.dummyFunction, headers, payload);
-                }));
+        beforeEach(() => {
+            githubScmMock.getScmContexts.returns([githubScmContext, gheScmContext]);
+        });
 
-        it('reject when appropriate scm plugin is not registered', () => {
+        it('registers every scmContext with the same plugin', () => {
             scm = new Scm({
-                scms: [
-                    {
-                        plugin: 'github',
-                        config: {
-                            displayName: 'github'
-                        }
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
                     }
-                ]
+                }
             });
 
-            return scm
-                .chooseWebhookScm(headers, payload)
-                .then(module => (module ? module.dummyFunction() : assert.fail()))
-                .catch(err => {
-                    assert.notCalled(githubScmMock.dummyFunction);
-                    assert.notCalled(gitlabScmMock.dummyFunction);
-                    assert.notCalled(exampleScmMock.dummyFunction);
-                    assert.deepEqual(err.name, 'AssertError');
-                });
-        });
-    });
-
-    describe('chooseScm', () => {
-        const config = { scmContext: exampleScmContext };
-
-        it('choose a scm module', () =>
-            scm
-                .chooseScm(config)
-                .then(module => module.dummyFunction(config))
-                .then(result => {
-                    assert.strictEqual(result, 'example');
-                    assert.notCalled(githubScmMock.dummyFunction);
-                    assert.notCalled(gitlabScmMock.dummyFunction);
-                    assert.calledOnce(exampleScmMock.dummyFunction);
-                    assert.calledWith(exampleScmMock.dummyFunction, config);
-                }));
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext, gheScmContext, exampleScmContext]);
+            assert.strictEqual(scm.scms[githubScmContext], scm.scms[gheScmContext]);
+            assert.strictEqual(scm._getScmContext({ hostname: 'ghe.com' }), gheScmContext);
 
-        it('reject when the scmContext config does not exist', () =>
-            scm
-                .chooseScm({ somekey: 'somevalue' })
-                .then(module => (module ? module.dummyFunction() : assert.fail()))
-                .catch(err => {
-                    assert.deepEqual(err.message, 'Not implemented');
-                }));
+            return scm._getFile({ scmContext: gheScmContext }).then(result => {
+                assert.strictEqual(result, 'github');
+            });
+        });
 
-        it('reject when not registered appropriate scm plugin', () =>
-            scm
-                .chooseScm({ scmContext: 'hoge.context' })
-                .then(module => (module ? module.dummyFunction() : assert.fail()))
-                .catch(err => {
-                    assert.notCalled(githubScmMock.dummyFunction);
-                    assert.notCalled(gitlabScmMock.dummyFunction);
-                    assert.notCalled(exampleScmMock.dummyFunction);
-                    assert.deepEqual(err.message, 'Not implemented');
-                }));
-    });
+        it('calls a shared plugin only once for stats, allScm and webhooks', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    }
+                }
+            });
 
-    describe('allScm', () => {
-        const config = { scmContext: exampleScmContext };
-        const bell = { github: 'githubBell', example: 'exampleBell', gitlab: 'gitlabBell' };
+            assert.deepEqual(scm.stats(), { github: { requests: 'github' } });
+            assert.calledOnce(githubScmMock.stats);
 
-        it('call all origin scm module and return combined', () =>
-            scm
-                .allScm(module => module.getBellConfiguration(config))
+            return scm
+                ._getBellConfiguration()
                 .then(result => {
-                    assert.deepEqual(result, bell);
+                    assert.deepEqual(result, { github: 'githubBell' });
                     assert.calledOnce(githubScmMock.getBellConfiguration);
-                    assert.calledWith(githubScmMock.getBellConfiguration, config);
-                    assert.calledOnce(exampleScmMock.getBellConfiguration);
-                    assert.calledWith(exampleScmMock.getBellConfiguration, config);
-                    assert.calledOnce(gitlabScmMock.getBellConfiguration);
-                    assert.calledWith(gitlabScmMock.getBellConfiguration, config);
-                }));
 
-        it('reject when origin 1st scm plugin rejects', () => {
-            githubScmMock.getBellConfiguration.rejects('bellreject');
+                    return scm._canHandleWebhook({}, {});
+                })
+                .then(() => {
+                    assert.calledOnce(githubScmMock.canHandleWebhook);
+                });
+        });
 
-            return scm
-                .allScm(module => module.getBellConfiguration())
-                .then(
-                    () => {
-                        assert.fail();
+        it('skips only the scmContexts already registered', () => {
+            scm = new Scm({
+                scms: {
+                    ghe: {
+                        factory: testScm.createMock({ ...initMock('ghe'), getScmContexts: () => [gheScmContext] })
                     },
-                    err => {
-                        assert.strictEqual(err.name, 'bellreject');
+                    github: {
+                        plugin: 'github'
                     }
-                );
-        });
-    });
+                }
+            });
 
-    describe('_addWebhook', () => {
-        const config = { scmContext: exampleScmContext };
+            assert.deepEqual(scm._getScmContexts(), [gheScmContext, githubScmContext]);
+            assert.strictEqual(scm.getDisplayName({ scmContext: gheScmContext }), 'ghe');
+            assert.strictEqual(scm.getDisplayName({ scmContext: githubScmContext }), 'github');
+        });
 
-        it('call origin addWebhook', () =>
-            scm._addWebhook(config).then(result => {
-                assert.strictEqual(result, 'example');
-                assert.notCalled(scmGithub.addWebhook);
-                assert.notCalled(scmGitlab.addWebhook);
+        it('throws an error for a partial duplicate in strict mode', () => {
+            assert.throws(
+                () => {
+                    scm = new Scm({
+                        strict: true,
+                        scms: {
+                            ghe: {
+                                factory: testScm.createMock({
+                                    ...initMock('ghe'),
+                                    getScmContexts: () => [gheScmContext]
+                                })
+                            },
+                            github: {
+                                plugin: 'github'
+                            }
+                        }
+                    });
+                },
+                Error,
+                `github: Duplicate scm config for ${gheScmContext}`
+            );
+        });
+
+        it('skips the plugin when one of the scmContexts is illegal', () => {
+            githubScmMock.getScmContexts.returns([githubScmContext, '']);
+
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [exampleScmContext]);
+        });
+
+        it('keeps serving the other scmContexts after one is removed', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    }
+                }
+            });
+
+            return scm
+                .removeScm(gheScmContext)
+                .then(() => scm._getFile({ scmContext: githubScmContext }))
+                .then(result => {
+                    assert.strictEqual(result, 'github');
+                    assert.deepEqual(scm._getScmContexts(), [githubScmContext]);
+                });
+        });
+    });
+
+    describe('addScm', () => {
+        beforeEach(() => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        config: githubPluginOptions
+                    }
+                }
+            });
+        });
+
+        it('registers a plugin at runtime', () =>
+            scm.addScm('example', { plugin: 'example', config: examplePluginOptions }).then(scmContexts => {
+                assert.deepEqual(scmContexts, [exampleScmContext]);
+                assert.deepEqual(scm._getScmContexts(), [githubScmContext, exampleScmContext]);
+                assert.deepEqual(scm.scms[exampleScmContext].constructorParams, {
+                    ...examplePluginOptions,
+                    displayName: 'example'
+                });
+
+                return scm.chooseScm({ scmContext: exampleScmContext });
+            }));
+
+        it('rejects when the scm config is not a map', () =>
+            scm.addScm('example', 'value').then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.message, 'No scm config passed in.');
+                }
+            ));
+
+        it('rejects when the npm module cannot be registered', () =>
+            scm.addScm('DNE', { plugin: 'DNE' }).then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.message, 'Scm plugin DNE is not supported');
+                }
+            ));
+
+        it('rejects when the scmContext already exists', () =>
+            scm.addScm('github2', { plugin: 'github' }).then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.message, `Duplicate scm config for ${githubScmContext}`);
+                    assert.deepEqual(scm.scms[githubScmContext].constructorParams.displayName, 'github');
+                }
+            ));
+
+        it('routes repositories to a plugin added at runtime', () => {
+            const buScmMock = initMock('bu');
+
+            buScmMock.getScmContexts.returns([githubScmContext]);
+
+            return scm
+                .addScm('githubBu', { factory: testScm.createMock(buScmMock), config: {}, repositories: ['bu-a/*'] })
+                .then(scmContexts => {
+                    assert.deepEqual(scmContexts, [githubScmContext]);
+                    assert.deepEqual(scm._getScmContexts(), [githubScmContext]);
+
+                    return scm._getFile({ scmContext: githubScmContext, scmRepo: { name: 'bu-a/repo' } });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'bu');
+                    assert.calledOnce(buScmMock.getFile);
+                });
+        });
+
+        it('rolls back repository routes that can not be served', () => {
+            const buScmMock = initMock('bu');
+            const gitlabBuScmMock = initMock('gitlabBu');
+
+            buScmMock.getScmContexts.returns([githubScmContext]);
+            buScmMock.init = sinon.stub().rejects(new Error('installation token is invalid'));
+            gitlabBuScmMock.getScmContexts.returns([gitlabScmContext]);
+
+            return scm
+                .addScm('githubBu', { factory: testScm.createMock(buScmMock), config: {}, repositories: ['bu-a/*'] })
+                .then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(
+                            err.message,
+                            'Scm plugin TestScm failed to initialize: installation token is invalid'
+                        );
+                        assert.deepEqual(scm.repositoryRoutes, {});
+
+                        return scm.addScm('gitlabBu', {
+                            factory: testScm.createMock(gitlabBuScmMock),
+                            config: {},
+                            repositories: ['bu-a/*']
+                        });
+                    }
+                )
+                .then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(
+                            err.message,
+                            `Repository routes gitlabBu have no default scm for ${gitlabScmContext}`
+                        );
+                        assert.deepEqual(scm.repositoryRoutes, {});
+                        assert.notCalled(gitlabBuScmMock.getFile);
+                    }
+                );
+        });
+    });
+
+    describe('removeScm', () => {
+        it('unregisters a plugin and rejects new calls with a clear error', () =>
+            scm.removeScm(exampleScmContext).then(() => {
+                assert.deepEqual(scm._getScmContexts(), [githubScmContext, gitlabScmContext]);
+
+                return scm._getFile({ scmContext: exampleScmContext }).then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(err.name, 'UnknownScmContextError');
+                        assert.strictEqual(err.statusCode, 404);
+                        assert.strictEqual(
+                            err.message,
+                            `Scm context ${exampleScmContext} has been removed. ` +
+                                `Known scmContexts: ${githubScmContext}, ${gitlabScmContext}`
+                        );
+                        assert.notCalled(exampleScm.getFile);
+                    }
+                );
+            }));
+
+        it('waits for in-flight calls to finish', () => {
+            let finishCall;
+            let removed = false;
+
+            exampleScm.getFile.returns(
+                new Promise(resolve => {
+                    finishCall = resolve;
+                })
+            );
+
+            const inFlight = scm._getFile({ scmContext: exampleScmContext });
+
+            return new Promise(resolve => {
+                setImmediate(resolve);
+            })
+                .then(() => {
+                    assert.calledOnce(exampleScm.getFile);
+
+                    const removal = scm.removeScm(exampleScmContext).then(() => {
+                        removed = true;
+                    });
+
+                    return new Promise(resolve => {
+                        setImmediate(resolve);
+                    }).then(() => {
+                        assert.isFalse(removed);
+                        finishCall('content');
+
+                        return removal;
+                    });
+                })
+                .then(() => inFlight)
+                .then(result => {
+                    assert.isTrue(removed);
+                    assert.strictEqual(result, 'content');
+                });
+        });
+
+        it('rejects calls that have not reached the plugin yet', () => {
+            const call = scm._getFile({ scmContext: exampleScmContext });
+
+            return scm
+                .removeScm(exampleScmContext)
+                .then(() => call)
+                .then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(err.name, 'UnknownScmContextError');
+                        assert.strictEqual(err.statusCode, 404);
+                        assert.strictEqual(
+                            err.message,
+                            `Scm context ${exampleScmContext} has been removed. ` +
+                                `Known scmContexts: ${githubScmContext}, ${gitlabScmContext}`
+                        );
+                        assert.notCalled(exampleScm.getFile);
+                    }
+                );
+        });
+
+        it('removes one scmContext of a shared plugin without waiting for the calls to the others', async () => {
+            const gheScmContext = 'github:ghe.com';
+            let finishCall;
+
+            githubScmMock.getScmContexts.returns([githubScmContext, gheScmContext]);
+            scm = new Scm({ scms: { github: { plugin: 'github' } } });
+            scmGithub = scm.scms[githubScmContext];
+            scmGithub.getFile.callsFake(
+                () =>
+                    new Promise(resolve => {
+                        finishCall = resolve;
+                    })
+            );
+
+            const inFlight = scm._getFile({ scmContext: gheScmContext });
+
+            await new Promise(resolve => {
+                setImmediate(resolve);
+            });
+
+            const queued = scm._getFile({ scmContext: githubScmContext }).catch(err => err);
+
+            await scm.removeScm(githubScmContext);
+
+            assert.strictEqual((await queued).name, 'UnknownScmContextError');
+            assert.calledOnce(scmGithub.getFile);
+            finishCall('content');
+            assert.strictEqual(await inFlight, 'content');
+        });
+
+        it('rejects when the scmContext is not registered', () =>
+            scm.removeScm('hoge.context').then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.name, 'UnknownScmContextError');
+                    assert.strictEqual(err.scmContext, 'hoge.context');
+                }
+            ));
+
+        it('allows a removed scm to be added again', () =>
+            scm
+                .removeScm(exampleScmContext)
+                .then(() => scm.addScm('example', { plugin: 'example', config: examplePluginOptions }))
+                .then(() => scm._getFile({ scmContext: exampleScmContext }))
+                .then(result => {
+                    assert.strictEqual(result, 'example');
+                }));
+    });
+
+    describe('aliases', () => {
+        const legacyScmContext = 'github:ghe-old.com';
+
+        beforeEach(() => {
+            scm = new Scm({
+                aliases: {
+                    [legacyScmContext]: githubScmContext
+                },
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+            scmGithub = scm.scms[githubScmContext];
+        });
+
+        it('routes calls of a legacy scmContext to the registered plugin', () =>
+            scm._getFile({ scmContext: legacyScmContext, path: 'screwdriver.yaml' }).then(result => {
+                assert.strictEqual(result, 'github');
+                assert.calledWith(scmGithub.getFile, { scmContext: githubScmContext, path: 'screwdriver.yaml' });
+                assert.deepEqual(scm.stats().router, { aliasUsage: { [legacyScmContext]: 1 } });
+            }));
+
+        it('resolves aliases in the synchronous accessors', () => {
+            const config = { scmContext: legacyScmContext };
+
+            assert.strictEqual(scm.getDisplayName(config), 'github');
+            assert.strictEqual(scm.getReadOnlyInfo(config), 'github');
+            assert.deepEqual(scm._getWebhookEventsMapping(config), { pr: 'pull_request' });
+            assert.strictEqual(scm._getScmContext({ hostname: 'ghe-old.com' }), githubScmContext);
+            assert.deepEqual(scm.stats().router, { aliasUsage: { [legacyScmContext]: 4 } });
+        });
+
+        it('does not list aliases as scmContexts', () => {
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext, exampleScmContext]);
+        });
+
+        it('skips invalid aliases', () => {
+            scm = new Scm({
+                aliases: {
+                    [exampleScmContext]: githubScmContext,
+                    'github:dne.com': 'github:dne2.com'
+                },
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm.aliases, {});
+
+            return scm.chooseScm({ scmContext: 'github:dne.com' }).then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.name, 'UnknownScmContextError');
+                    assert.strictEqual(err.scmContext, 'github:dne.com');
+                }
+            );
+        });
+
+        it('throws an error for invalid aliases in strict mode', () => {
+            let error;
+
+            try {
+                scm = new Scm({
+                    strict: true,
+                    aliases: {
+                        [exampleScmContext]: githubScmContext,
+                        'github:dne.com': 'github:dne2.com'
+                    },
+                    scms: {
+                        github: {
+                            plugin: 'github'
+                        },
+                        example: {
+                            plugin: 'example'
+                        }
+                    }
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            assert.deepEqual(error.errors, [
+                `Alias ${exampleScmContext} is already a registered scmContext`,
+                'Alias github:dne.com refers to unregistered scmContext github:dne2.com'
+            ]);
+        });
+    });
+
+    describe('ready', () => {
+        it('calls init of each plugin and resolves with the initialized scmContexts', () => {
+            exampleScmMock.init = sinon.stub().resolves();
+
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            return scm.ready().then(result => {
+                assert.deepEqual(result, { initialized: [githubScmContext, exampleScmContext], failed: [] });
+                assert.calledOnce(exampleScmMock.init);
+            });
+        });
+
+        it('reports dedicated plugins that failed to initialize', async () => {
+            const error = new Error('installation token is invalid');
+            const buScmMock = initMock('bu');
+
+            buScmMock.getScmContexts.returns([githubScmContext]);
+            buScmMock.init = sinon.stub().rejects(error);
+            scm = new Scm({
+                scms: {
+                    githubBu: { factory: testScm.createMock(buScmMock), config: {}, repositories: ['bu-a/*'] },
+                    github: { plugin: 'github' }
+                }
+            });
+
+            assert.deepEqual(await scm.ready(), {
+                initialized: [githubScmContext],
+                failed: [{ scmContext: githubScmContext, displayName: 'githubBu', error }]
+            });
+        });
+
+        it('reports plugins that failed to initialize and refuses calls to them', () => {
+            const error = new Error('installation token is invalid');
+
+            exampleScmMock.init = sinon.stub().rejects(error);
+
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            return scm
+                .ready()
+                .then(result => {
+                    assert.deepEqual(result, {
+                        initialized: [githubScmContext],
+                        failed: [{ scmContext: exampleScmContext, error }]
+                    });
+
+                    return scm._getFile({ scmContext: exampleScmContext });
+                })
+                .then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(
+                            err.message,
+                            `Scm context ${exampleScmContext} failed to initialize: installation token is invalid`
+                        );
+                        assert.notCalled(exampleScmMock.getFile);
+
+                        return scm._getBellConfiguration();
+                    }
+                )
+                .then(result => {
+                    assert.deepEqual(result, { github: 'githubBell' });
+                    assert.notCalled(exampleScmMock.getBellConfiguration);
+                    assert.calledOnce(exampleScmMock.init);
+                });
+        });
+
+        it('waits for init before routing calls', () => {
+            let finishInit;
+
+            exampleScmMock.init = sinon.stub().returns(
+                new Promise(resolve => {
+                    finishInit = resolve;
+                })
+            );
+
+            scm = new Scm({
+                scms: {
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            const call = scm._getFile({ scmContext: exampleScmContext });
+
+            return new Promise(resolve => {
+                setImmediate(resolve);
+            })
+                .then(() => {
+                    assert.notCalled(exampleScmMock.getFile);
+                    finishInit();
+
+                    return call;
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'example');
+                });
+        });
+
+        it('does not register a plugin added at runtime that failed to initialize', () => {
+            exampleScmMock.init = sinon.stub().rejects(new Error('unreachable'));
+
+            return scm.removeScm(exampleScmContext).then(() =>
+                scm.addScm('example', { plugin: 'example' }).then(
+                    () => assert.fail(),
+                    err => {
+                        assert.strictEqual(err.message, 'Scm plugin example failed to initialize: unreachable');
+                        assert.notInclude(scm._getScmContexts(), exampleScmContext);
+                    }
+                )
+            );
+        });
+    });
+
+    describe('config interpolation', () => {
+        beforeEach(() => {
+            process.env.SCM_ROUTER_TEST_SECRET = 'env-secret';
+        });
+
+        afterEach(() => {
+            delete process.env.SCM_ROUTER_TEST_SECRET;
+        });
+
+        it('resolves references before constructing the plugin', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        config: {
+                            oauthClientSecret: '${env:SCM_ROUTER_TEST_SECRET}'
+                        }
+                    }
+                }
+            });
+
+            assert.deepEqual(scm.scms[githubScmContext].constructorParams, {
+                displayName: 'github',
+                oauthClientSecret: 'env-secret'
+            });
+            assert.strictEqual(scm.redact('secret is env-secret'), 'secret is [REDACTED]');
+        });
+
+        it('skips a plugin with a missing reference', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        config: {
+                            oauthClientSecret: '${env:SCM_ROUTER_TEST_DNE}'
+                        }
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [exampleScmContext]);
+        });
+
+        it('throws an error naming the missing reference in strict mode', () => {
+            assert.throws(
+                () => {
+                    scm = new Scm({
+                        strict: true,
+                        scms: {
+                            github: {
+                                plugin: 'github',
+                                config: {
+                                    oauthClientSecret: '${env:SCM_ROUTER_TEST_DNE}'
+                                }
+                            }
+                        }
+                    });
+                },
+                Error,
+                'github: Environment variable SCM_ROUTER_TEST_DNE referenced by github.config.oauthClientSecret is not set'
+            );
+        });
+    });
+
+    describe('interface check', () => {
+        beforeEach(() => {
+            delete exampleScmMock.openPr;
+            delete exampleScmMock.getOpenedPRs;
+        });
+
+        it('records the methods implemented by each plugin', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            const githubCapabilities = scm.getCapabilities({ scmContext: githubScmContext });
+            const exampleCapabilities = scm.getCapabilities({ scmContext: exampleScmContext });
+
+            assert.isTrue(githubCapabilities.openPr);
+            assert.isTrue(githubCapabilities.getOpenedPRs);
+            assert.isFalse(exampleCapabilities.openPr);
+            assert.isFalse(exampleCapabilities.getOpenedPRs);
+            assert.isTrue(exampleCapabilities.getFile);
+        });
+
+        it('skips a plugin missing methods with the error policy', () => {
+            scm = new Scm({
+                interfaceCheck: { policy: 'error' },
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext]);
+        });
+
+        it('only checks the configured methods', () => {
+            assert.throws(
+                () => {
+                    scm = new Scm({
+                        strict: true,
+                        interfaceCheck: { policy: 'error', methods: ['getFile', 'openPr'] },
+                        scms: {
+                            example: {
+                                plugin: 'example'
+                            }
+                        }
+                    });
+                },
+                Error,
+                'example: Scm plugin example does not implement openPr'
+            );
+        });
+
+        it('throws an error when the policy is unknown', () => {
+            assert.throws(
+                () => {
+                    scm = new Scm({
+                        interfaceCheck: { policy: 'explode' },
+                        scms: {
+                            example: {
+                                plugin: 'example'
+                            }
+                        }
+                    });
+                },
+                Error,
+                'interfaceCheck.policy must be one of ignore, warn, error'
+            );
+        });
+
+        it('throws an error when getting capabilities of an unknown scmContext', () => {
+            assert.throws(() => scm.getCapabilities({ scmContext: 'hoge.context' }), 'Unknown scmContext hoge.context');
+        });
+    });
+
+    describe('chooseWebhookScm', () => {
+        const headers = { key: 'headers' };
+        const payload = { key: 'payload' };
+
+        it('choose a webhookScm module', () =>
+            scm
+                .chooseWebhookScm(headers, payload)
+                .then(module => module.dummyFunction(headers, payload))
+                .then(result => {
+                    assert.strictEqual(result, 'example');
+                    assert.notCalled(githubScmMock.dummyFunction);
+                    assert.notCalled(gitlabScmMock.dummyFunction);
+                    assert.calledOnce(exampleScmMock.dummyFunction);
+                    assert.calledWith(exampleScmMock.dummyFunction, headers, payload);
+                }));
+
+        it('reject when appropriate scm plugin is not registered', () => {
+            scm = new Scm({
+                scms: [
+                    {
+                        plugin: 'github',
+                        config: {
+                            displayName: 'github'
+                        }
+                    }
+                ]
+            });
+
+            return scm
+                .chooseWebhookScm(headers, payload)
+                .then(module => (module ? module.dummyFunction() : assert.fail()))
+                .catch(err => {
+                    assert.notCalled(githubScmMock.dummyFunction);
+                    assert.notCalled(gitlabScmMock.dummyFunction);
+                    assert.notCalled(exampleScmMock.dummyFunction);
+                    assert.deepEqual(err.name, 'AssertError');
+                });
+        });
+    });
+
+    describe('chooseScm', () => {
+        const config = { scmContext: exampleScmContext };
+
+        it('choose a scm module', () =>
+            scm
+                .chooseScm(config)
+                .then(module => module.dummyFunction(config))
+                .then(result => {
+                    assert.strictEqual(result, 'example');
+                    assert.notCalled(githubScmMock.dummyFunction);
+                    assert.notCalled(gitlabScmMock.dummyFunction);
+                    assert.calledOnce(exampleScmMock.dummyFunction);
+                    assert.calledWith(exampleScmMock.dummyFunction, config);
+                }));
+
+        it('reject when the scmContext config does not exist', () =>
+            scm
+                .chooseScm({ somekey: 'somevalue' })
+                .then(module => (module ? module.dummyFunction() : assert.fail()))
+                .catch(err => {
+                    assert.strictEqual(err.name, 'UnknownScmContextError');
+                    assert.strictEqual(err.statusCode, 404);
+                    assert.isUndefined(err.scmContext);
+                }));
+
+        it('reject when not registered appropriate scm plugin', () =>
+            scm
+                .chooseScm({ scmContext: 'hoge.context' })
+                .then(module => (module ? module.dummyFunction() : assert.fail()))
+                .catch(err => {
+                    assert.notCalled(githubScmMock.dummyFunction);
+                    assert.notCalled(gitlabScmMock.dummyFunction);
+                    assert.notCalled(exampleScmMock.dummyFunction);
+                    assert.strictEqual(err.name, 'UnknownScmContextError');
+                    assert.strictEqual(err.statusCode, 404);
+                    assert.strictEqual(
+                        err.message,
+                        'Unknown scmContext hoge.context. ' +
+                            `Known scmContexts: ${githubScmContext}, ${exampleScmContext}, ${gitlabScmContext}`
+                    );
+                    assert.deepEqual(err.scmContexts, [githubScmContext, exampleScmContext, gitlabScmContext]);
+                }));
+    });
+
+    describe('chooseScm without scmContext', () => {
+        it('infers the scmContext from the checkoutUrl', () => {
+            const config = { checkoutUrl: 'git@Example.com:screwdriver-cd/scm-router.git#master' };
+
+            return scm._parseUrl(config).then(result => {
+                assert.strictEqual(result, 'example');
+                assert.calledWith(exampleScm.parseUrl, { ...config, scmContext: exampleScmContext });
+            });
+        });
+
+        it('infers the scmContext from an https checkoutUrl with port', () =>
+            scm.chooseScm({ checkoutUrl: 'https://gitlab.com:8443/group/repo' }).then(module => {
+                assert.strictEqual(module, scmGitlab);
+            }));
+
+        it('infers the scmContext from the scmUri', () =>
+            scm.chooseScm({ scmUri: 'github.com:12345:main' }).then(module => {
+                assert.strictEqual(module, scmGithub);
+            }));
+
+        it('rejects when the host matches more than one scmContext', () => {
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github'
+                    },
+                    githubOnGitlab: {
+                        factory: testScm.createMock({
+                            ...initMock('github'),
+                            getScmContexts: () => ['gitlab:github.com']
+                        })
+                    }
+                }
+            });
+
+            return scm.chooseScm({ checkoutUrl: 'https://github.com/org/repo' }).then(
+                () => assert.fail(),
+                err => {
+                    assert.instanceOf(err, Scm.AmbiguousScmContextError);
+                    assert.strictEqual(err.statusCode, 400);
+                    assert.deepEqual(err.scmContexts, [githubScmContext, 'gitlab:github.com']);
+                }
+            );
+        });
+
+        it('rejects when no scmContext matches the host', () =>
+            scm.chooseScm({ checkoutUrl: 'https://bitbucket.org/org/repo' }).then(
+                () => assert.fail(),
+                err => {
+                    assert.instanceOf(err, Scm.UnknownScmContextError);
+                }
+            ));
+
+        it('prefers the given scmContext over the checkoutUrl', () =>
+            scm
+                .chooseScm({ scmContext: githubScmContext, checkoutUrl: 'https://gitlab.com/group/repo' })
+                .then(module => {
+                    assert.strictEqual(module, scmGithub);
+                }));
+    });
+
+    describe('repository routes', () => {
+        let buScmMock;
+        let scmBu;
+
+        beforeEach(() => {
+            buScmMock = initMock('bu');
+            buScmMock.getScmContexts.returns([githubScmContext]);
+            buScmMock.canHandleWebhook.resolves(false);
+
+            scm = new Scm({
+                scms: {
+                    githubBu: {
+                        factory: testScm.createMock(buScmMock),
+                        config: {},
+                        repositories: ['bu-a/*', 'shared/infra']
+                    },
+                    github: {
+                        plugin: 'github'
+                    }
+                }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmBu = scm.repositoryRoutes[githubScmContext][0].scm;
+        });
+
+        it('routes matching repositories to the dedicated plugin', () =>
+            Promise.all([
+                scm._getFile({ scmContext: githubScmContext, scmRepo: { name: 'BU-A/repo' } }),
+                scm._openPr({ scmContext: githubScmContext, checkoutUrl: 'git@github.com:shared/infra.git#main' })
+            ]).then(([file, pr]) => {
+                assert.strictEqual(file, 'bu');
+                assert.strictEqual(pr, 'bu');
+                assert.notCalled(scmGithub.getFile);
+                assert.notCalled(scmGithub.openPr);
+            }));
+
+        it('routes other repositories to the default plugin', () =>
+            Promise.all([
+                scm._getFile({ scmContext: githubScmContext, scmRepo: { name: 'bu-b/repo' } }),
+                scm._getFile({ scmContext: githubScmContext, scmUri: 'github.com:12345:main' }),
+                scm._getFile({ checkoutUrl: 'https://github.com/shared/infra-tools' })
+            ]).then(results => {
+                assert.deepEqual(results, ['github', 'github', 'github']);
+                assert.notCalled(scmBu.getFile);
+            }));
+
+        it('routes calls with only an scmUri by the repository name looked up once', async () => {
+            const config = { scmContext: githubScmContext, scmUri: 'github.com:12345:main', token: 'token' };
+
+            scmGithub.decorateUrl.resolves({ name: 'bu-a/repo', branch: 'main', url: 'https://github.com/bu-a/repo' });
+
+            assert.deepEqual(await Promise.all([scm.getCommitSha(config), scm._getFile(config)]), ['bu', 'bu']);
+            assert.strictEqual(await scm._getFile({ ...config, scmUri: 'github.com:12345:dev' }), 'bu');
+            assert.calledOnce(scmGithub.decorateUrl);
+            assert.calledWith(scmGithub.decorateUrl, config);
+            assert.calledWith(scmBu.getCommitSha, config);
+            assert.notCalled(scmGithub.getCommitSha);
+            assert.notCalled(scmGithub.getFile);
+        });
+
+        it('routes calls to the default plugin when the repository can not be looked up', async () => {
+            const config = { scmContext: githubScmContext, scmUri: 'github.com:12345:main', token: 'token' };
+
+            scmGithub.decorateUrl.rejects(new Error('Not Found'));
+
+            assert.strictEqual(await scm._getFile(config), 'github');
+
+            scmGithub.decorateUrl.resolves({ name: 'bu-a/repo' });
+
+            assert.strictEqual(await scm._getFile(config), 'bu');
+            assert.calledTwice(scmGithub.decorateUrl);
+        });
+
+        it('lists the scmContext once and keeps the default plugin for accessors', () => {
+            assert.deepEqual(scm._getScmContexts(), [githubScmContext]);
+            assert.strictEqual(scm.getDisplayName({ scmContext: githubScmContext }), 'github');
+        });
+
+        it('probes dedicated plugins for webhooks', () => {
+            scmBu.canHandleWebhook.resolves(true);
+
+            return scm._parseHook({}, {}).then(result => {
+                assert.strictEqual(result.username, 'bu');
+            });
+        });
+
+        it('reports dedicated plugin stats separately', () => {
+            assert.deepEqual(scm.stats(), {
+                github: { requests: 'github' },
+                router: { repositoryRoutes: { githubBu: { bu: { requests: 'bu' } } } }
+            });
+        });
+
+        it('removes the dedicated plugins with the scmContext', () =>
+            scm.removeScm(githubScmContext).then(() => {
+                assert.deepEqual(scm.repositoryRoutes, {});
+                assert.deepEqual(scm.stats(), {});
+            }));
+
+        it('skips routes without a default plugin', () => {
+            scm = new Scm({
+                scms: {
+                    githubBu: {
+                        factory: testScm.createMock(buScmMock),
+                        config: {},
+                        repositories: ['bu-a/*']
+                    },
+                    example: {
+                        plugin: 'example'
+                    }
+                }
+            });
+
+            assert.deepEqual(scm.repositoryRoutes, {});
+        });
+
+        it('throws an error for invalid routes in strict mode', () => {
+            let error;
+
+            try {
+                scm = new Scm({
+                    strict: true,
+                    scms: {
+                        githubBu: {
+                            factory: testScm.createMock(buScmMock),
+                            config: {},
+                            repositories: ['bu-a/*']
+                        },
+                        githubEmpty: {
+                            plugin: 'github',
+                            repositories: []
+                        },
+                        example: {
+                            plugin: 'example'
+                        }
+                    }
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            assert.deepEqual(error.errors, [
+                'githubEmpty: "repositories" must contain at least 1 items',
+                `Repository routes githubBu have no default scm for ${githubScmContext}`
+            ]);
+        });
+    });
+
+    describe('mirror', () => {
+        const statusConfig = {
+            scmContext: githubScmContext,
+            scmUri: 'github.com:12345:main',
+            sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+            buildStatus: 'SUCCESS',
+            token: 'githubToken'
+        };
+
+        beforeEach(() => {
+            process.env.SCM_ROUTER_MIRROR_TOKEN = 'gitlabMirrorToken';
+
+            scm = new Scm({
+                scms: {
+                    github: {
+                        plugin: 'github',
+                        mirror: {
+                            scmContext: gitlabScmContext,
+                            token: '${env:SCM_ROUTER_MIRROR_TOKEN}',
+                            repositories: {
+                                'github.com:12345:main': 'gitlab.com:678:main',
+                                'github.com:23456:main': { scmUri: 'gitlab.com:789:main', prNum: 3 }
+                            }
+                        }
+                    },
+                    gitlab: {
+                        plugin: 'gitlab'
+                    }
+                }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        afterEach(() => {
+            delete process.env.SCM_ROUTER_MIRROR_TOKEN;
+        });
+
+        it('sends commit statuses to the mirror with the mapped repository and token', () =>
+            scm._updateCommitStatus(statusConfig).then(result => {
+                assert.strictEqual(result, 'github');
+                assert.calledWith(scmGithub.updateCommitStatus, statusConfig);
+                assert.calledWith(scmGitlab.updateCommitStatus, {
+                    ...statusConfig,
+                    scmContext: gitlabScmContext,
+                    scmUri: 'gitlab.com:678:main',
+                    token: 'gitlabMirrorToken'
+                });
+            }));
+
+        it('sends PR comments to the mirror with the mapped config', () =>
+            scm
+                ._addPrComment({
+                    scmContext: githubScmContext,
+                    scmUri: 'github.com:23456:main',
+                    prNum: 1,
+                    comments: [{ text: 'comment' }],
+                    token: 'githubToken'
+                })
+                .then(() => {
+                    assert.calledWith(scmGitlab.addPrComment, {
+                        scmContext: gitlabScmContext,
+                        scmUri: 'gitlab.com:789:main',
+                        prNum: 3,
+                        comments: [{ text: 'comment' }],
+                        token: 'gitlabMirrorToken'
+                    });
+                }));
+
+        it('does not mirror unmapped repositories, read calls or webhooks by default', () =>
+            Promise.all([
+                scm._updateCommitStatus({ ...statusConfig, scmUri: 'github.com:99999:main' }),
+                scm._getFile(statusConfig),
+                scm._addWebhook(statusConfig)
+            ]).then(() => {
+                assert.notCalled(scmGitlab.updateCommitStatus);
+                assert.notCalled(scmGitlab.getFile);
+                assert.notCalled(scmGitlab.addWebhook);
+            }));
+
+        it('mirrors webhooks when enabled', () => {
+            scm.mirrors[githubScmContext].webhooks = true;
+
+            return scm._addWebhook(statusConfig).then(() => {
+                assert.calledOnce(scmGitlab.addWebhook);
+            });
+        });
+
+        it('never fails the primary call and counts mirror results', () => {
+            scmGitlab.updateCommitStatus.onFirstCall().rejects(new Error('gitlab is down'));
+
+            return scm
+                ._updateCommitStatus(statusConfig)
+                .then(() => scm.mirrorCall(statusConfig, 'updateCommitStatus'))
+                .then(() => {
+                    assert.deepEqual(scm.stats().router, {
+                        mirrors: { [githubScmContext]: { scmContext: gitlabScmContext, succeeded: 1, failed: 1 } }
+                    });
+                });
+        });
+
+        it('is removed with the scmContext', () =>
+            scm.removeScm(githubScmContext).then(() => {
+                assert.deepEqual(scm.mirrors, {});
+            }));
+
+        it('throws an error for invalid mirrors in strict mode', () => {
+            let error;
+
+            try {
+                scm = new Scm({
+                    strict: true,
+                    scms: {
+                        github: {
+                            plugin: 'github',
+                            mirror: {
+                                scmContext: 'gitlab:gitlab.corp',
+                                token: 'gitlabMirrorToken',
+                                repositories: { 'github.com:12345:main': 'gitlab.corp:678:main' }
+                            }
+                        },
+                        example: {
+                            plugin: 'example',
+                            mirror: { scmContext: githubScmContext }
+                        },
+                        gitlab: {
+                            plugin: 'gitlab',
+                            mirror: {
+                                scmContext: githubScmContext,
+                                repositories: { 'gitlab.com:678:main': 'github.com:12345:main' }
+                            }
+                        }
+                    }
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            assert.deepEqual(error.errors, [
+                'example: "mirror.repositories" is required',
+                'example: "mirror.token" is required',
+                'gitlab: "mirror.token" is required',
+                'Mirror of github points to unknown scmContext gitlab:gitlab.corp'
+            ]);
+        });
+    });
+
+    describe('webhook deduplication', () => {
+        const headers = { 'x-gitlab-event': 'Push Hook', 'x-gitlab-event-uuid': '13792a34-cac6-4fda-95a8' };
+        const payload = { key: 'payload' };
+
+        const createScm = dedup =>
+            new Scm({
+                webhooks: { dedup },
+                scms: { gitlab: { plugin: 'gitlab' } }
+            });
+
+        it('skips redelivered webhooks', () => {
+            scm = createScm({});
+            scmGitlab = scm.scms[gitlabScmContext];
+
+            return scm
+                ._parseHook(headers, payload)
+                .then(() => scm._parseHook(headers, payload))
+                .then(result => {
+                    assert.isNull(result);
+                    assert.calledOnce(scmGitlab.parseHook);
+                    assert.deepEqual(scm.stats().router, { duplicateWebhooks: 1 });
+                });
+        });
+
+        it('flags redelivered webhooks with the flag action', () => {
+            scm = createScm({ action: 'flag' });
+            scmGitlab = scm.scms[gitlabScmContext];
+
+            return scm
+                ._parseHook(headers, payload)
+                .then(result => {
+                    assert.deepEqual(result, { ...createHook('gitlab'), scmContext: gitlabScmContext });
+
+                    return scm._parseHook(headers, payload);
+                })
+                .then(result => {
+                    assert.deepEqual(result, {
+                        ...createHook('gitlab'),
+                        scmContext: gitlabScmContext,
+                        duplicate: true
+                    });
+                });
+        });
+
+        it('processes a redelivery again when parsing failed', () => {
+            scm = createScm({});
+            scmGitlab = scm.scms[gitlabScmContext];
+            scmGitlab.parseHook.onFirstCall().rejects(new Error('parse failed'));
+
+            return scm
+                ._parseHook(headers, payload)
+                .catch(() => scm._parseHook(headers, payload))
+                .then(result => {
+                    assert.strictEqual(result.username, 'gitlab');
+                    assert.calledTwice(scmGitlab.parseHook);
+                });
+        });
+
+        it('uses the given store and processes webhooks when it fails', () => {
+            const store = { add: sinon.stub().rejects(new Error('store is down')), delete: sinon.stub().resolves() };
+
+            scm = createScm({ ttl: 1000, store });
+
+            return scm._parseHook(headers, payload).then(result => {
+                assert.strictEqual(result.username, 'gitlab');
+                assert.calledWith(store.add, '13792a34-cac6-4fda-95a8', 1000);
+            });
+        });
+
+        it('throws an error for invalid settings', () => {
+            assert.throws(() => createScm({ ttl: -1 }), 'webhooks.dedup.ttl must be a positive number of milliseconds');
+            assert.throws(() => createScm({ action: 'drop' }), 'webhooks.dedup.action must be one of skip, flag');
+            assert.throws(() => createScm({ store: {} }), 'webhooks.dedup.store must implement add and delete');
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const config = { scmContext: githubScmContext, scmUri: 'github.com:12345:main' };
+        const badGateway = () => Object.assign(new Error('Bad Gateway'), { statusCode: 502 });
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ toFake: ['Date'] });
+            scm = new Scm({
+                circuitBreaker: {
+                    failureThreshold: 2,
+                    coolDown: 1000,
+                    scmContexts: { [gitlabScmContext]: { failureThreshold: 1 } }
+                },
+                scms: { github: { plugin: 'github' }, gitlab: { plugin: 'gitlab' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('fails calls fast once the scm failed repeatedly', () => {
+            scmGithub.getFile.rejects(badGateway());
+
+            return scm
+                ._getFile(config)
+                .catch(() => scm._getFile(config))
+                .catch(() => scm._getFile(config))
+                .then(
+                    () => assert.fail('This should not fail the tests'),
+                    err => {
+                        assert.instanceOf(err, Scm.ScmUnavailableError);
+                        assert.strictEqual(err.scmContext, githubScmContext);
+                        assert.calledTwice(scmGithub.getFile);
+                        assert.deepEqual(scm.stats().router.circuitBreakers, {
+                            [githubScmContext]: { state: 'open', failures: 2, openedAt: '1970-01-01T00:00:00.000Z' }
+                        });
+
+                        return scm._getFile({ scmContext: gitlabScmContext });
+                    }
+                )
+                .then(result => {
+                    assert.strictEqual(result, 'gitlab');
+                });
+        });
+
+        it('tries the scm again after the cool-down', () => {
+            scmGitlab.getFile.onFirstCall().rejects(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+            return scm
+                ._getFile({ scmContext: gitlabScmContext })
+                .catch(() => {
+                    clock.tick(1000);
+
+                    return scm._getFile({ scmContext: gitlabScmContext });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'gitlab');
+                    assert.strictEqual(scm.stats().router.circuitBreakers[gitlabScmContext].state, 'closed');
+                });
+        });
+
+        it('does not count the errors of calls the scm refused', () => {
+            scmGitlab.getFile.rejects(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+
+            return scm
+                ._getFile({ scmContext: gitlabScmContext })
+                .catch(() => scm._getFile({ scmContext: gitlabScmContext }))
+                .catch(err => {
+                    assert.strictEqual(err.statusCode, 404);
+                    assert.calledTwice(scmGitlab.getFile);
+                });
+        });
+
+        it('does not count the errors of calls rejected before any request', () => {
+            const validationError = Object.assign(new Error('"scmUri" is required'), { isJoi: true });
+
+            scmGitlab.getFile.onFirstCall().rejects(validationError);
+            scmGitlab.getFile
+                .onSecondCall()
+                .rejects(new TypeError("Cannot read properties of undefined (reading 'id')"));
+
+            return scm
+                ._getFile({ scmContext: gitlabScmContext })
+                .catch(() => scm._getFile({ scmContext: gitlabScmContext }))
+                .catch(err => {
+                    assert.instanceOf(err, TypeError);
+                    assert.deepEqual(scm.stats().router.circuitBreakers[gitlabScmContext], {
+                        state: 'closed',
+                        failures: 0,
+                        openedAt: undefined
+                    });
+                });
+        });
+
+        it('accepts scm modules answering without a promise', async () => {
+            scmGithub.isEnterpriseUser.returns(true);
+
+            assert.isTrue(await scm._isEnterpriseUser({ scmContext: githubScmContext }));
+            assert.include(scm.stats().router.circuitBreakers[githubScmContext], { state: 'closed', failures: 0 });
+        });
+
+        it('counts the calls still in flight at their deadline as failures', async () => {
+            scm = new Scm({
+                circuitBreaker: { failureThreshold: 2, coolDown: 1000 },
+                deadline: { timeout: 20 },
+                scms: { github: { plugin: 'github' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGithub.getFile.callsFake(() => new Promise(() => {}));
+
+            const results = [];
+
+            for (let i = 0; i < 3; i += 1) {
+                // eslint-disable-next-line no-await-in-loop
+                results.push(await scm._getFile(config).catch(err => err));
+            }
+
+            assert.instanceOf(results[0], Scm.ScmTimeoutError);
+            assert.instanceOf(results[1], Scm.ScmTimeoutError);
+            assert.instanceOf(results[2], Scm.ScmUnavailableError);
+            assert.calledTwice(scmGithub.getFile);
+            assert.include(scm.stats().router.circuitBreakers[githubScmContext], { state: 'open', failures: 2 });
+        });
+
+        it('throws an error for invalid settings', () => {
+            assert.throws(
+                () =>
+                    new Scm({
+                        circuitBreaker: { scmContexts: { [githubScmContext]: { coolDown: -1 } } },
+                        scms: { github: { plugin: 'github' } }
+                    }),
+                'circuitBreaker.coolDown must be a positive number of milliseconds'
+            );
+        });
+    });
+
+    describe('retry', () => {
+        const badGateway = () => Object.assign(new Error('Bad Gateway'), { statusCode: 502 });
+
+        beforeEach(() => {
+            scm = new Scm({
+                retry: {
+                    retries: 2,
+                    minDelay: 1,
+                    maxDelay: 1,
+                    methods: { getCommitSha: { retries: 1 } },
+                    scmContexts: { [gitlabScmContext]: { retries: 0, methods: { getFile: { retries: 3 } } } }
+                },
+                scms: { github: { plugin: 'github' }, gitlab: { plugin: 'gitlab' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        it('retries read methods the scm failed to answer', () => {
+            scmGithub.getFile.onFirstCall().rejects(badGateway());
+            scmGithub.getFile
+                .onSecondCall()
+                .rejects(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+            return scm._getFile({ scmContext: githubScmContext }).then(result => {
+                assert.strictEqual(result, 'github');
+                assert.calledThrice(scmGithub.getFile);
+                assert.deepEqual(scm.stats().router.retries, { [githubScmContext]: { getFile: 2 } });
+            });
+        });
+
+        it('gives up after the retries of the method and scmContext', () => {
+            scmGithub.getCommitSha.rejects(badGateway());
+            scmGitlab.getFile.rejects(badGateway());
+            scmGitlab.getPrInfo.rejects(badGateway());
+
+            return Promise.all([
+                scm._getCommitSha({ scmContext: githubScmContext }).catch(err => err),
+                scm._getFile({ scmContext: gitlabScmContext }).catch(err => err),
+                scm._getPrInfo({ scmContext: gitlabScmContext }).catch(err => err)
+            ]).then(errors => {
+                errors.forEach(err => assert.strictEqual(err.statusCode, 502));
+                assert.calledTwice(scmGithub.getCommitSha);
+                assert.callCount(scmGitlab.getFile, 4);
+                assert.calledOnce(scmGitlab.getPrInfo);
+            });
+        });
+
+        it('does not retry write methods nor calls the scm refused', () => {
+            scmGithub.addPrComment.rejects(badGateway());
+            scmGithub.getPermissions.rejects(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+
+            return Promise.all([
+                scm._addPrComment({ scmContext: githubScmContext }).catch(err => err),
+                scm._getPermissions({ scmContext: githubScmContext }).catch(err => err)
+            ]).then(([commentError, permissionsError]) => {
+                assert.strictEqual(commentError.statusCode, 502);
+                assert.strictEqual(permissionsError.statusCode, 404);
+                assert.calledOnce(scmGithub.addPrComment);
+                assert.calledOnce(scmGithub.getPermissions);
+                assert.notProperty(scm.stats(), 'router');
+            });
+        });
+
+        it('does not retry calls failed fast by the circuit breaker', () => {
+            scm = new Scm({
+                retry: { retries: 3, minDelay: 1, maxDelay: 1 },
+                circuitBreaker: { failureThreshold: 2 },
+                scms: { github: { plugin: 'github' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGithub.getFile.rejects(badGateway());
+
+            return scm._getFile({ scmContext: githubScmContext }).catch(err => {
+                assert.instanceOf(err, Scm.ScmUnavailableError);
+                assert.calledTwice(scmGithub.getFile);
+            });
+        });
+
+        it('throws an error for retries of write methods', () => {
+            assert.throws(
+                () =>
+                    new Scm({
+                        retry: { scmContexts: { [githubScmContext]: { methods: { openPr: { retries: 1 } } } } },
+                        scms: { github: { plugin: 'github' } }
+                    }),
+                `retry.scmContexts.${githubScmContext}.methods can only retry getFile`
+            );
+            assert.throws(
+                () => new Scm({ retry: { maxDelay: 10 }, scms: { github: { plugin: 'github' } } }),
+                'retry.maxDelay must be a number of milliseconds not lower than retry.minDelay'
+            );
+        });
+    });
+
+    describe('deadline', () => {
+        const never = () => new Promise(() => {});
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            scm = new Scm({
+                deadline: {
+                    timeout: 1000,
+                    methods: { getOpenedPRs: { timeout: 5000 } },
+                    scmContexts: { [gitlabScmContext]: { methods: { getFile: { timeout: 200 } } } }
+                },
+                retry: { retries: 2, minDelay: 2000, maxDelay: 2000 },
+                scms: { github: { plugin: 'github' }, gitlab: { plugin: 'gitlab' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        afterEach(() => {
+            clock.restore();
+            sinon.restore();
+        });
+
+        it('rejects calls once the timeout of the method and scmContext elapses', async () => {
+            scmGithub.getOpenedPRs.callsFake(never);
+            scmGitlab.getFile.callsFake(never);
+
+            const results = Promise.all([
+                scm._getOpenedPRs({ scmContext: githubScmContext }).catch(err => err),
+                scm._getFile({ scmContext: gitlabScmContext }).catch(err => err)
+            ]);
+
+            await clock.tickAsync(1000);
+            assert.strictEqual(await Promise.race([results, 'pending']), 'pending');
+            await clock.tickAsync(4000);
+
+            const [openedPRsError, fileError] = await results;
+
+            assert.instanceOf(openedPRsError, Scm.ScmTimeoutError);
+            assert.strictEqual(
+                openedPRsError.message,
+                `Call to getOpenedPRs of scm context ${githubScmContext} timed out after 5000 ms`
+            );
+            assert.strictEqual(fileError.statusCode, 504);
+            assert.strictEqual(fileError.scmContext, gitlabScmContext);
+            assert.strictEqual(fileError.timeout, 200);
+        });
+
+        it('stops retrying once the deadline is over', async () => {
+            // backoff of the first retry: 1800 ms, past the deadline
+            sinon.stub(Math, 'random').returns(0.9);
+            scmGithub.getFile.rejects(Object.assign(new Error('Bad Gateway'), { statusCode: 502 }));
+
+            const result = scm._getFile({ scmContext: githubScmContext }).catch(err => err);
+
+            await clock.tickAsync(1000);
+
+            assert.instanceOf(await result, Scm.ScmTimeoutError);
+
+            // the backoff ends with the deadline, so the call is no longer in flight
+            let removed = false;
+
+            scm.removeScm(githubScmContext).then(() => {
+                removed = true;
+            });
+            await clock.tickAsync(0);
+
+            assert.isTrue(removed);
+            assert.calledOnce(scmGithub.getFile);
+        });
+
+        it('honors the signal of the caller without passing it on', async () => {
+            const controller = new AbortController();
+            const reason = new Error('client went away');
+
+            scmGithub.getCommitSha.callsFake(never);
+
+            const result = scm
+                ._getCommitSha({ scmContext: githubScmContext, sha: 'abc', signal: controller.signal })
+                .catch(err => err);
+
+            await clock.tickAsync(10);
+            controller.abort(reason);
+
+            assert.strictEqual(await result, reason);
+            assert.calledWith(scmGithub.getCommitSha, { scmContext: githubScmContext, sha: 'abc' });
+
+            assert.strictEqual(
+                await scm._getBranchList({ scmContext: githubScmContext, signal: controller.signal }).catch(err => err),
+                reason
+            );
+            assert.notCalled(scmGithub.getBranchList);
+        });
+
+        it('takes the signal of the caller out of the config validated by the public methods', async () => {
+            const controller = new AbortController();
+            const reason = new Error('client went away');
+            const config = { scmUri: 'github.com:12345:main', token: 'token', scmContext: githubScmContext };
+
+            scmGithub.getCommitSha.callsFake(never);
+
+            const result = scm.getCommitSha({ ...config, signal: controller.signal }).catch(err => err);
+
+            await clock.tickAsync(10);
+            controller.abort(reason);
+
+            assert.strictEqual(await result, reason);
+            assert.calledWith(scmGithub.getCommitSha, config);
+        });
+
+        it('throws an error for invalid settings', () => {
+            [
+                [{ timeout: 0 }, 'deadline.timeout must be a positive number of milliseconds'],
+                [{ methods: { getFiles: { timeout: 10 } } }, 'deadline.methods has unknown methods: getFiles'],
+                [{ scmContexts: [] }, 'deadline.scmContexts must be an object']
+            ].forEach(([deadline, message]) => {
+                assert.throws(() => new Scm({ deadline, scms: { github: { plugin: 'github' } } }), message);
+            });
+        });
+    });
+
+    describe('throttle', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            scm = new Scm({
+                throttle: { concurrency: 1, scmContexts: { [gitlabScmContext]: { concurrency: 5, minRemaining: 1 } } },
+                deadline: { timeout: 1000 },
+                scms: { github: { plugin: 'github' }, gitlab: { plugin: 'gitlab' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('queues calls beyond the concurrency of the scmContext', async () => {
+            let resolveFile;
+
+            scmGithub.getFile.callsFake(
+                () =>
+                    new Promise(resolve => {
+                        resolveFile = resolve;
+                    })
+            );
+
+            const file = scm._getFile({ scmContext: githubScmContext }).catch(err => err);
+            const permissions = scm._getPermissions({ scmContext: githubScmContext }).catch(err => err);
+
+            await clock.tickAsync(300);
+
+            const commitSha = scm._getCommitSha({ scmContext: githubScmContext });
+
+            await clock.tickAsync(0);
+            assert.include(scm.stats().router.throttles[githubScmContext], { active: 1, queued: 2 });
+
+            await clock.tickAsync(700);
+
+            assert.instanceOf(await file, Scm.ScmTimeoutError);
+            assert.instanceOf(await permissions, Scm.ScmTimeoutError);
+            assert.notCalled(scmGithub.getPermissions);
+            assert.notCalled(scmGithub.getCommitSha);
+
+            resolveFile('github');
+
+            assert.strictEqual(await commitSha, 'github');
+            assert.include(scm.stats().router.throttles[githubScmContext], {
+                active: 0,
+                queued: 0,
+                maxQueued: 2,
+                waited: 1,
+                averageWait: 700
+            });
+        });
+
+        it('paces calls while the rate-limit budget reported by the scm runs low', async () => {
+            scmGitlab.getRateLimit = sinon.stub();
+            scmGitlab.getRateLimit.onFirstCall().resolves({ remaining: 2, resetAt: 60000 });
+            scmGitlab.getRateLimit.onSecondCall().resolves({ remaining: 1, resetAt: 400 });
+            scmGitlab.getRateLimit.onThirdCall().rejects(new Error('no headers yet'));
+
+            assert.strictEqual(await scm._getFile({ scmContext: gitlabScmContext }), 'gitlab');
+
+            const paced = scm._getFile({ scmContext: gitlabScmContext });
+
+            await clock.tickAsync(199);
+            assert.calledOnce(scmGitlab.getFile);
+            await clock.tickAsync(1);
+
+            assert.strictEqual(await paced, 'gitlab');
+            assert.calledWith(scmGitlab.getRateLimit, { scmContext: gitlabScmContext });
+            assert.include(scm.stats().router.throttles[gitlabScmContext], { paced: 1 });
+
+            // the last budget reported is kept when the scm fails to report it
+            const last = scm._getFile({ scmContext: gitlabScmContext });
+
+            await clock.tickAsync(100);
+
+            assert.strictEqual(await last, 'gitlab');
+            assert.include(scm.stats().router.throttles[gitlabScmContext], { paced: 2 });
+        });
+
+        it('spreads parallel calls while the rate-limit budget runs low', async () => {
+            const calledAt = [];
+
+            scm = new Scm({
+                throttle: { minRemaining: 5 },
+                scms: { github: { plugin: 'github' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            scmGithub.getRateLimit = sinon.stub().resolves({ remaining: 2, resetAt: 1000 });
+            scmGithub.getFile.callsFake(() => {
+                calledAt.push(Date.now());
+
+                return Promise.resolve('github');
+            });
+
+            const results = Promise.all([1, 2, 3].map(() => scm._getFile({ scmContext: githubScmContext })));
+
+            await clock.tickAsync(1002);
+
+            assert.deepEqual(await results, ['github', 'github', 'github']);
+            assert.deepEqual(calledAt, [334, 668, 1002]);
+        });
+
+        it('throws an error for invalid settings', () => {
+            assert.throws(
+                () =>
+                    new Scm({
+                        throttle: { scmContexts: { [githubScmContext]: { concurrency: 1.5 } } },
+                        scms: { github: { plugin: 'github' } }
+                    }),
+                'throttle.concurrency must be a positive integer'
+            );
+        });
+    });
+
+    describe('allScm', () => {
+        const config = { scmContext: exampleScmContext };
+        const bell = { github: 'githubBell', example: 'exampleBell', gitlab: 'gitlabBell' };
+
+        it('call all origin scm module and return combined', () =>
+            scm
+                .allScm(module => module.getBellConfiguration(config))
+                .then(result => {
+                    assert.deepEqual(result, bell);
+                    assert.calledOnce(githubScmMock.getBellConfiguration);
+                    assert.calledWith(githubScmMock.getBellConfiguration, config);
+                    assert.calledOnce(exampleScmMock.getBellConfiguration);
+                    assert.calledWith(exampleScmMock.getBellConfiguration, config);
+                    assert.calledOnce(gitlabScmMock.getBellConfiguration);
+                    assert.calledWith(gitlabScmMock.getBellConfiguration, config);
+                }));
+
+        it('reject when origin 1st scm plugin rejects', () => {
+            githubScmMock.getBellConfiguration.rejects('bellreject');
+
+            return scm
+                .allScm(module => module.getBellConfiguration())
+                .then(
+                    () => {
+                        assert.fail();
+                    },
+                    err => {
+                        assert.strictEqual(err.name, 'bellreject');
+                    }
+                );
+        });
+
+        it('resolves the results and the failed scmContexts when settled', () => {
+            const error = new Error('bad credentials');
+
+            githubScmMock.getBellConfiguration.rejects(error);
+            gitlabScmMock.getBellConfiguration.throws(error);
+
+            return scm
+                .allScm(module => module.getBellConfiguration(), { settled: true })
+                .then(result => {
+                    assert.deepEqual(result, {
+                        results: { example: 'exampleBell' },
+                        failed: [
+                            { scmContext: githubScmContext, error },
+                            { scmContext: gitlabScmContext, error }
+                        ]
+                    });
+                });
+        });
+
+        it('reports the scmContexts that failed to initialize when settled', () => {
+            const error = new Error('installation token is invalid');
+
+            exampleScmMock.init = sinon.stub().rejects(error);
+            scm = new Scm({ scms: { github: { plugin: 'github' }, example: { plugin: 'example' } } });
+
+            return scm
+                .allScm(module => module.getBellConfiguration(), { settled: true })
+                .then(result => {
+                    assert.deepEqual(result, {
+                        results: { github: 'githubBell' },
+                        failed: [{ scmContext: exampleScmContext, error }]
+                    });
+                    assert.notCalled(exampleScmMock.getBellConfiguration);
+                });
+        });
+    });
+
+    describe('_addWebhook', () => {
+        const config = { scmContext: exampleScmContext };
+
+        it('call origin addWebhook', () =>
+            scm._addWebhook(config).then(result => {
+                assert.strictEqual(result, 'example');
+                assert.notCalled(scmGithub.addWebhook);
+                assert.notCalled(scmGitlab.addWebhook);
                 assert.calledOnce(exampleScm.addWebhook);
                 assert.calledWith(exampleScm.addWebhook, config);
             }));
@@ -608,7 +2543,7 @@ describe('index test', () => {
 
         it('call origin parseHook', () =>
             scm._parseHook(headers, payload).then(result => {
-                assert.strictEqual(result, 'example');
+                assert.strictEqual(result.username, 'example');
                 assert.notCalled(scmGithub.parseHook);
                 assert.notCalled(scmGitlab.parseHook);
                 assert.calledOnce(exampleScm.parseHook);
@@ -633,6 +2568,296 @@ describe('index test', () => {
                     assert.notCalled(exampleScm.parseHook);
                 });
         });
+
+        it('rejects with the details of each scmContext when no scm can handle the webhook', () => {
+            scmGitlab.canHandleWebhook.resolves(false);
+            exampleScm.canHandleWebhook.rejects(new Error('payload is not json'));
+
+            return scm
+                ._parseHook({ 'x-github-event': 'ping' }, payload)
+                .then(() => assert.fail('This should not fail the tests'))
+                .catch(err => {
+                    assert.strictEqual(err.statusCode, 400);
+                    assert.deepEqual(err.details, [
+                        {
+                            scmContext: githubScmContext,
+                            reason: 'unknownEvent',
+                            message: 'Event ping is not supported'
+                        },
+                        { scmContext: exampleScmContext, reason: 'threw', message: 'payload is not json' },
+                        { scmContext: gitlabScmContext, reason: 'hostMismatch', message: 'Webhook was sent by github' }
+                    ]);
+
+                    return scm._parseHook({ 'x-github-event': 'pull_request' }, payload);
+                })
+                .catch(err => {
+                    assert.deepEqual(err.details[0], {
+                        scmContext: githubScmContext,
+                        reason: 'signature',
+                        message: 'Signature or payload was not accepted'
+                    });
+                });
+        });
+
+        it('probes only the scms matching the well-known headers', () =>
+            scm._parseHook({ 'x-gitlab-event': 'Push Hook' }, payload).then(result => {
+                assert.strictEqual(result.username, 'gitlab');
+                assert.calledOnce(scmGitlab.canHandleWebhook);
+                assert.notCalled(scmGithub.canHandleWebhook);
+                assert.notCalled(exampleScm.canHandleWebhook);
+            }));
+
+        it('probes the other scms when the matching ones cannot handle the webhook', () =>
+            scm._parseHook({ 'x-github-event': 'push' }, payload).then(() => {
+                assert.calledOnce(scmGithub.canHandleWebhook);
+                assert.isTrue(scmGitlab.canHandleWebhook.called || exampleScm.canHandleWebhook.called);
+            }));
+
+        it('narrows the scms by host headers', () => {
+            scm = new Scm({
+                webhooks: { hostHeaders: ['x-scm-host'] },
+                scms: { github: { plugin: 'github' }, example: { plugin: 'example' } }
+            });
+            scmGithub = scm.scms[githubScmContext];
+            exampleScm = scm.scms[exampleScmContext];
+            scmGithub.canHandleWebhook.resolves(true);
+
+            return scm._parseHook({ 'X-Scm-Host': 'example.com' }, payload).then(result => {
+                assert.strictEqual(result.username, 'example');
+                assert.notCalled(scmGithub.canHandleWebhook);
+            });
+        });
+
+        it('picks the scm with the highest priority, then the first one in config order', () => {
+            scm = new Scm({
+                scms: {
+                    github: { plugin: 'github' },
+                    example: { plugin: 'example' },
+                    gitlab: { plugin: 'gitlab', priority: 10 }
+                }
+            });
+            scm.scms[githubScmContext].canHandleWebhook.resolves(true);
+
+            return scm._parseHook(headers, payload).then(result => {
+                assert.strictEqual(result.username, 'gitlab');
+                assert.deepEqual(scm.stats().router, {
+                    ambiguousWebhooks: { [`${gitlabScmContext}, ${githubScmContext}, ${exampleScmContext}`]: 1 }
+                });
+            });
+        });
+
+        it('rejects ambiguous webhooks with the reject policy', () => {
+            scm = new Scm({
+                webhooks: { ambiguity: 'reject' },
+                scms: { example: { plugin: 'example' }, gitlab: { plugin: 'gitlab' } }
+            });
+
+            return scm._parseHook(headers, payload).then(
+                () => assert.fail('This should not fail the tests'),
+                err => {
+                    assert.strictEqual(
+                        err.message,
+                        `Webhook matches multiple scmContexts: ${exampleScmContext}, ${gitlabScmContext}. ` +
+                            'Please make sure each scm uses a different webhook secret'
+                    );
+                    assert.strictEqual(err.statusCode, 400);
+                    assert.notCalled(scm.scms[exampleScmContext].parseHook);
+                }
+            );
+        });
+
+        it('throws an error for invalid ambiguity policies and priorities', () => {
+            assert.throws(
+                () => new Scm({ webhooks: { ambiguity: 'random' }, scms: { github: { plugin: 'github' } } }),
+                'webhooks.ambiguity must be one of first, warn, reject'
+            );
+            assert.throws(
+                () => new Scm({ strict: true, scms: { github: { plugin: 'github', priority: 'high' } } }),
+                'github: "priority" must be a number'
+            );
+        });
+
+        it('throws an error for invalid host headers', () => {
+            assert.throws(
+                () => new Scm({ webhooks: { hostHeaders: 'x-scm-host' }, scms: { github: { plugin: 'github' } } }),
+                'webhooks.hostHeaders must be an array of header names'
+            );
+        });
+    });
+
+    describe('parseHook results', () => {
+        const headers = { key: 'headers' };
+        const payload = { key: 'payload' };
+
+        it('normalizes the result and fills in its scmContext', () => {
+            exampleScm.parseHook.resolves({
+                ...createHook('example'),
+                type: 'pull_request',
+                action: 'synchronize',
+                prNum: 1,
+                prRef: null
+            });
+
+            return scm.parseHook(headers, payload).then(result => {
+                assert.deepEqual(result, {
+                    ...createHook('example'),
+                    type: 'pr',
+                    action: 'synchronized',
+                    prNum: 1,
+                    scmContext: exampleScmContext
+                });
+            });
+        });
+
+        it('rejects malformed results', () => {
+            exampleScm.parseHook.resolves({ ...createHook('example'), sha: undefined });
+
+            return scm._parseHook(headers, payload).then(
+                () => assert.fail('This should not fail the tests'),
+                err => {
+                    assert.strictEqual(
+                        err.message,
+                        `Invalid parseHook result of ${exampleScmContext}: "Commit SHA" is required`
+                    );
+                }
+            );
+        });
+
+        it('warns about malformed results with the warn policy', () => {
+            scm = new Scm({
+                webhooks: { validation: 'warn' },
+                scms: { example: { plugin: 'example' } }
+            });
+            scm.scms[exampleScmContext].parseHook.resolves('example');
+
+            return scm._parseHook(headers, payload).then(result => {
+                assert.strictEqual(result, 'example');
+            });
+        });
+
+        it('skips results matching a filter rule', () => {
+            scm = new Scm({
+                webhooks: {
+                    filters: [
+                        { name: 'bots', username: '*[bot]' },
+                        { name: 'dependabot', branch: 'dependabot/**', repository: 'screwdriver-cd/*' }
+                    ]
+                },
+                scms: { example: { plugin: 'example' } }
+            });
+            exampleScm = scm.scms[exampleScmContext];
+            exampleScm.parseHook.resolves({ ...createHook('example'), branch: 'dependabot/npm/joi' });
+
+            return scm
+                ._parseHook(headers, payload)
+                .then(result => {
+                    assert.deepEqual(result, {
+                        skipped: true,
+                        rule: 'dependabot',
+                        hook: { ...createHook('example'), branch: 'dependabot/npm/joi', scmContext: exampleScmContext }
+                    });
+
+                    exampleScm.parseHook.resolves(createHook('example'));
+
+                    return scm._parseHook(headers, payload);
+                })
+                .then(result => {
+                    assert.strictEqual(result.username, 'example');
+                    assert.deepEqual(scm.stats().router, { skippedWebhooks: { dependabot: 1 } });
+                });
+        });
+
+        it('throws an error for invalid validation policies and filters', () => {
+            assert.throws(
+                () => new Scm({ webhooks: { validation: 'ignore' }, scms: { github: { plugin: 'github' } } }),
+                'webhooks.validation must be one of warn, reject'
+            );
+            assert.throws(
+                () => new Scm({ webhooks: { filters: [{ name: 'all' }] }, scms: { github: { plugin: 'github' } } }),
+                'Filter all must have at least one of'
+            );
+        });
+    });
+
+    describe('webhook recorder', () => {
+        const headers = { 'x-gitlab-event': 'Push Hook', 'x-gitlab-token': 'webhookSecret' };
+        const payload = { key: 'payload' };
+        let tmpDir;
+        let directory;
+
+        const readRecordings = () =>
+            fs
+                .readdirSync(directory)
+                .sort()
+                .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scm-router-'));
+            directory = path.join(tmpDir, 'webhooks');
+            scm = new Scm({
+                webhooks: { record: { directory } },
+                scms: { gitlab: { plugin: 'gitlab' } }
+            });
+            scmGitlab = scm.scms[gitlabScmContext];
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('records sanitized webhooks with the chosen scmContext and the result', () =>
+            scm._parseHook(headers, payload).then(result => {
+                assert.deepEqual(readRecordings(), [
+                    {
+                        recordedAt: readRecordings()[0].recordedAt,
+                        method: 'parseHook',
+                        headers: { 'x-gitlab-event': 'Push Hook', 'x-gitlab-token': '[REDACTED]' },
+                        payload,
+                        scmContext: gitlabScmContext,
+                        result
+                    }
+                ]);
+            }));
+
+        it('records webhooks that no scm can handle', () => {
+            scmGitlab.canHandleWebhook.resolves(false);
+
+            return Promise.all([
+                scm._canHandleWebhook(headers, payload),
+                scm._parseHook(headers, payload).catch(() => {})
+            ]).then(() => {
+                const recordings = readRecordings();
+
+                assert.sameMembers(
+                    recordings.map(recording => recording.method),
+                    ['canHandleWebhook', 'parseHook']
+                );
+                recordings.forEach(recording => assert.isNull(recording.scmContext));
+                assert.include(recordings.find(recording => recording.error).error.message, 'Cannot parse');
+            });
+        });
+
+        it('replays recorded webhooks', () =>
+            scm
+                ._parseHook(headers, payload)
+                .then(() => {
+                    const [file] = fs.readdirSync(directory);
+
+                    scmGitlab.parseHook.resetHistory();
+
+                    return scm.replayWebhook(path.join(directory, file));
+                })
+                .then(result => {
+                    assert.strictEqual(result.username, 'gitlab');
+                    assert.calledWith(scmGitlab.parseHook, { ...headers, 'x-gitlab-token': '[REDACTED]' }, payload);
+                }));
+
+        it('throws an error for an invalid directory', () => {
+            assert.throws(
+                () => new Scm({ webhooks: { record: {} }, scms: { gitlab: { plugin: 'gitlab' } } }),
+                'webhooks.record.directory must be a path'
+            );
+        });
     });
 
     describe('_getCheckoutCommand', () => {
@@ -814,6 +3039,14 @@ describe('index test', () => {
                 assert.calledOnce(exampleScm.getBellConfiguration);
                 assert.calledOnce(scmGitlab.getBellConfiguration);
             }));
+
+        it('leaves out the scms failing to return their configuration', () => {
+            scmGithub.getBellConfiguration.rejects(new Error('bad credentials'));
+
+            return scm._getBellConfiguration().then(result => {
+                assert.deepEqual(result, { example: 'exampleBell', gitlab: 'gitlabBell' });
+            });
+        });
     });
 
     describe('_getPrInfo', () => {
@@ -862,6 +3095,40 @@ describe('index test', () => {
 
             assert.strictEqual(result, githubScmContext);
         });
+
+        it('matches hostname case-insensitively', () => {
+            assert.strictEqual(scm._getScmContext({ hostname: 'GitHub.com' }), githubScmContext);
+        });
+
+        it('gets scmContext that matches given display name or plugin type', () => {
+            assert.strictEqual(scm._getScmContext({ displayName: 'gitlab' }), gitlabScmContext);
+            assert.strictEqual(scm._getScmContext({ type: 'example' }), exampleScmContext);
+            assert.isUndefined(scm._getScmContext({ type: 'example', hostname: 'github.com' }));
+            assert.isUndefined(scm._getScmContext({ displayName: 'DNE' }));
+        });
+
+        it('ignores the port of the hostname', () => {
+            assert.strictEqual(scm._getScmContext({ hostname: 'GitLab.com:8443' }), gitlabScmContext);
+        });
+    });
+
+    describe('getScmContextInfo', () => {
+        it('returns type, host, display name and read-only status', () => {
+            exampleScm.getReadOnlyInfo.returns({ enabled: true, username: 'headless' });
+
+            assert.deepEqual(scm.getScmContextInfo({ scmContext: exampleScmContext }), {
+                scmContext: exampleScmContext,
+                type: 'example',
+                host: 'example.com',
+                displayName: 'example',
+                readOnly: true
+            });
+            assert.isFalse(scm.getScmContextInfo({ scmContext: githubScmContext }).readOnly);
+        });
+
+        it('throws UnknownScmContextError for an unknown scmContext', () => {
+            assert.throws(() => scm.getScmContextInfo({ scmContext: 'hoge.context' }), Scm.UnknownScmContextError);
+        });
     });
 
     describe('_canHandleWebhook', () => {
@@ -943,6 +3210,38 @@ describe('index test', () => {
         });
     });
 
+    describe('unknown scmContext', () => {
+        const config = { scmContext: 'hoge.context' };
+
+        ['getDisplayName', 'getReadOnlyInfo', 'autoDeployKeyGenerationEnabled', '_getWebhookEventsMapping'].forEach(
+            method => {
+                it(`throws UnknownScmContextError from ${method}`, () => {
+                    let error;
+
+                    try {
+                        scm[method](config);
+                    } catch (err) {
+                        error = err;
+                    }
+
+                    assert.instanceOf(error, Scm.UnknownScmContextError);
+                    assert.strictEqual(error.statusCode, 404);
+                    assert.strictEqual(error.scmContext, 'hoge.context');
+                    assert.deepEqual(error.scmContexts, [githubScmContext, exampleScmContext, gitlabScmContext]);
+                });
+            }
+        );
+
+        it('rejects with UnknownScmContextError from routed methods', () =>
+            scm._getFile(config).then(
+                () => assert.fail(),
+                err => {
+                    assert.strictEqual(err.name, 'UnknownScmContextError');
+                    assert.strictEqual(err.statusCode, 404);
+                }
+            ));
+    });
+
     describe('_getBranchList', () => {
         const config = { scmContext: exampleScmContext };
 
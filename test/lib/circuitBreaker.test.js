@@ -0,0 +1,101 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const CircuitBreaker = require('../../lib/circuitBreaker');
+
+describe('circuitBreaker test', () => {
+    let clock;
+    let breaker;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        breaker = new CircuitBreaker({ failureThreshold: 2, coolDown: 1000 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('opens after consecutive failures', () => {
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        assert.isTrue(breaker.tryAcquire());
+
+        breaker.recordFailure();
+
+        assert.isFalse(breaker.tryAcquire());
+        assert.strictEqual(breaker.retryAfter(), 1000);
+        assert.deepEqual(breaker.stats(), { state: 'open', failures: 2, openedAt: '1970-01-01T00:00:00.000Z' });
+    });
+
+    it('lets one trial call through after the cool-down', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        clock.tick(1000);
+
+        assert.isTrue(breaker.tryAcquire());
+        assert.isFalse(breaker.tryAcquire());
+        assert.strictEqual(breaker.stats().state, 'halfOpen');
+
+        breaker.recordSuccess();
+
+        assert.isTrue(breaker.tryAcquire());
+        assert.deepEqual(breaker.stats(), { state: 'closed', failures: 0, openedAt: undefined });
+    });
+
+    it('opens again when the trial call fails', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        clock.tick(1000);
+        breaker.tryAcquire();
+        breaker.recordFailure();
+
+        assert.isFalse(breaker.tryAcquire());
+        assert.strictEqual(breaker.retryAfter(), 1000);
+    });
+
+    it('opens again when the trial call hangs for another cool-down', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        clock.tick(1000);
+        breaker.tryAcquire();
+        clock.tick(999);
+
+        assert.isFalse(breaker.tryAcquire());
+        assert.strictEqual(breaker.stats().state, 'halfOpen');
+
+        clock.tick(1);
+
+        assert.isFalse(breaker.tryAcquire());
+        assert.deepEqual(breaker.stats(), { state: 'open', failures: 3, openedAt: '1970-01-01T00:00:02.000Z' });
+
+        clock.tick(1000);
+
+        assert.isTrue(breaker.tryAcquire());
+    });
+
+    it('lets another trial call through after a call telling nothing about the scm', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        clock.tick(1000);
+        breaker.tryAcquire();
+        breaker.release();
+
+        assert.isTrue(breaker.tryAcquire());
+        assert.strictEqual(breaker.stats().state, 'halfOpen');
+    });
+
+    it('throws an error for invalid options', () => {
+        assert.throws(
+            () => new CircuitBreaker({ failureThreshold: 0 }),
+            'circuitBreaker.failureThreshold must be a positive integer'
+        );
+        assert.throws(
+            () => new CircuitBreaker({ coolDown: '30s' }),
+            'circuitBreaker.coolDown must be a positive number of milliseconds'
+        );
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const { withDeadline } = require('../../lib/deadline');
+
+describe('deadline test', () => {
+    const createTimeoutError = () => new Error('timed out');
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('settles with the function when it is in time', () => {
+        const promise = withDeadline(() => Promise.resolve('done'), { timeout: 1000, createTimeoutError });
+
+        return promise.then(result => {
+            assert.strictEqual(result, 'done');
+            assert.strictEqual(clock.countTimers(), 0);
+        });
+    });
+
+    it('rejects and aborts the function once the timeout elapses', () => {
+        let fnSignal;
+        const promise = withDeadline(
+            signal => {
+                fnSignal = signal;
+
+                return new Promise(() => {});
+            },
+            { timeout: 1000, createTimeoutError }
+        );
+
+        clock.tick(1000);
+
+        return promise.then(
+            () => assert.fail('This should not fail the tests'),
+            err => {
+                assert.strictEqual(err.message, 'timed out');
+                assert.isTrue(fnSignal.aborted);
+            }
+        );
+    });
+
+    it('rejects with the reason of the signal of the caller', () => {
+        const controller = new AbortController();
+        const promise = withDeadline(() => new Promise(() => {}), { signal: controller.signal, createTimeoutError });
+
+        controller.abort(new Error('client went away'));
+
+        return promise.then(
+            () => assert.fail('This should not fail the tests'),
+            err => assert.strictEqual(err.message, 'client went away')
+        );
+    });
+
+    it('rejects at once with a signal already aborted', () => {
+        const fn = sinon.spy(signal => Promise.resolve(signal.aborted));
+
+        return withDeadline(fn, { timeout: 1000, signal: AbortSignal.abort(), createTimeoutError }).then(
+            () => assert.fail('This should not fail the tests'),
+            err => {
+                assert.strictEqual(err.name, 'AbortError');
+                assert.strictEqual(clock.countTimers(), 0);
+            }
+        );
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { assert } = require('chai');
+const {
+    AmbiguousScmContextError,
+    ScmTimeoutError,
+    ScmUnavailableError,
+    UnknownScmContextError
+} = require('../../lib/errors');
+
+describe('errors test', () => {
+    describe('UnknownScmContextError', () => {
+        it('lists the requested and the known scmContexts', () => {
+            const err = new UnknownScmContextError('github:dne.com', ['github:github.com', 'gitlab:gitlab.com']);
+
+            assert.instanceOf(err, Error);
+            assert.strictEqual(err.name, 'UnknownScmContextError');
+            assert.strictEqual(err.statusCode, 404);
+            assert.strictEqual(err.scmContext, 'github:dne.com');
+            assert.deepEqual(err.scmContexts, ['github:github.com', 'gitlab:gitlab.com']);
+            assert.strictEqual(
+                err.message,
+                'Unknown scmContext github:dne.com. Known scmContexts: github:github.com, gitlab:gitlab.com'
+            );
+        });
+
+        it('accepts a custom message', () => {
+            const err = new UnknownScmContextError(
+                'github:github.com',
+                [],
+                'Scm context github:github.com has been removed'
+            );
+
+            assert.strictEqual(err.message, 'Scm context github:github.com has been removed');
+        });
+    });
+
+    describe('AmbiguousScmContextError', () => {
+        it('lists the scmContexts matching the host', () => {
+            const err = new AmbiguousScmContextError('ghe.corp', ['github:ghe.corp', 'gitlab:ghe.corp']);
+
+            assert.instanceOf(err, Error);
+            assert.strictEqual(err.name, 'AmbiguousScmContextError');
+            assert.strictEqual(err.statusCode, 400);
+            assert.strictEqual(err.hostname, 'ghe.corp');
+            assert.deepEqual(err.scmContexts, ['github:ghe.corp', 'gitlab:ghe.corp']);
+            assert.strictEqual(
+                err.message,
+                'Host ghe.corp matches multiple scmContexts: github:ghe.corp, gitlab:ghe.corp. Please specify scmContext'
+            );
+        });
+    });
+
+    describe('ScmUnavailableError', () => {
+        it('names the scmContext and when to retry', () => {
+            const err = new ScmUnavailableError('github:ghe.corp', 29500);
+
+            assert.instanceOf(err, Error);
+            assert.strictEqual(err.name, 'ScmUnavailableError');
+            assert.strictEqual(err.statusCode, 503);
+            assert.strictEqual(err.scmContext, 'github:ghe.corp');
+            assert.strictEqual(err.retryAfter, 29500);
+            assert.strictEqual(err.message, 'Scm context github:ghe.corp is unavailable. Retry after 30 seconds');
+        });
+    });
+
+    describe('ScmTimeoutError', () => {
+        it('names the scmContext, the method and the timeout', () => {
+            const err = new ScmTimeoutError('github:ghe.corp', 'getOpenedPRs', 30000);
+
+            assert.instanceOf(err, Error);
+            assert.strictEqual(err.name, 'ScmTimeoutError');
+            assert.strictEqual(err.statusCode, 504);
+            assert.strictEqual(err.scmContext, 'github:ghe.corp');
+            assert.strictEqual(err.method, 'getOpenedPRs');
+            assert.strictEqual(err.timeout, 30000);
+            assert.strictEqual(
+                err.message,
+                'Call to getOpenedPRs of scm context github:ghe.corp timed out after 30000 ms'
+            );
+        });
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { assert } = require('chai');
+const { normalizeHook, validateHook } = require('../../lib/hook');
+
+describe('hook test', () => {
+    const hook = {
+        type: 'repo',
+        action: 'push',
+        branch: 'main',
+        checkoutUrl: 'git@github.com:screwdriver-cd/scm-router.git#main',
+        sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+        username: 'octocat',
+        scmContext: 'github:github.com'
+    };
+
+    describe('normalizeHook', () => {
+        it('drops null fields', () => {
+            assert.deepEqual(normalizeHook({ ...hook, prNum: null, ref: undefined }), hook);
+        });
+
+        [
+            ['pull_request', 'synchronize', 'pr', 'synchronized'],
+            ['merge_request', 'Reopen', 'pr', 'reopened'],
+            ['PR', 'merged', 'pr', 'closed'],
+            ['repo', 'tag_push', 'repo', 'tag']
+        ].forEach(([type, action, normalizedType, normalizedAction]) => {
+            it(`maps ${type} ${action} onto ${normalizedType} ${normalizedAction}`, () => {
+                const result = normalizeHook({ ...hook, type, action });
+
+                assert.strictEqual(result.type, normalizedType);
+                assert.strictEqual(result.action, normalizedAction);
+            });
+        });
+    });
+
+    describe('validateHook', () => {
+        it('accepts results matching the shared schema', () => {
+            assert.isUndefined(validateHook(hook));
+        });
+
+        it('accepts the extension fields of webhook filters', () => {
+            assert.isUndefined(validateHook({ ...hook, type: 'pr', action: 'opened', prDraft: true }));
+        });
+
+        it('describes the problem of malformed results', () => {
+            assert.strictEqual(
+                validateHook({ ...hook, type: 'push' }),
+                '"Type of the event" must be one of [pr, repo, ping]'
+            );
+            assert.include(validateHook({ ...hook, scmContext: undefined }), '"scmContext" is required');
+        });
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const { assert } = require('chai');
+const { getHostname, getScmContextHost, getScmContextHostname, parseHost } = require('../../lib/hostname');
+
+describe('hostname test', () => {
+    describe('getHostname', () => {
+        [
+            ['https://GHE.corp:8443/org/repo', 'ghe.corp'],
+            ['https://gitlab.corp/group/repo', 'gitlab.corp'],
+            ['git@ghe.corp:org/repo.git#main', 'ghe.corp'],
+            ['ssh://git@ghe.corp:22/org/repo.git', 'ghe.corp'],
+            ['ghe.corp:12345:main', 'ghe.corp'],
+            ['GitHub.com:12345:main:src', 'github.com']
+        ].forEach(([url, hostname]) => {
+            it(`gets ${hostname} from ${url}`, () => {
+                assert.strictEqual(getHostname(url), hostname);
+            });
+        });
+
+        it('returns undefined when the url is not a string', () => {
+            assert.isUndefined(getHostname(undefined));
+            assert.isUndefined(getHostname(''));
+            assert.isUndefined(getHostname({ url: 'github.com' }));
+        });
+
+        it('returns undefined when the url cannot be parsed', () => {
+            assert.isUndefined(getHostname('https://'));
+        });
+    });
+
+    describe('getScmContextHostname', () => {
+        it('gets the hostname of an scmContext', () => {
+            assert.strictEqual(getScmContextHostname('github:github.com'), 'github.com');
+            assert.strictEqual(getScmContextHostname('github:GHE.corp'), 'ghe.corp');
+        });
+    });
+
+    describe('parseHost', () => {
+        it('splits the host into lowercased hostname and port', () => {
+            assert.deepEqual(parseHost('GHE.corp:8443'), { hostname: 'ghe.corp', port: '8443' });
+            assert.deepEqual(parseHost('ghe.corp'), { hostname: 'ghe.corp', port: undefined });
+            assert.deepEqual(parseHost('[::1]:22'), { hostname: '[::1]', port: '22' });
+        });
+    });
+
+    describe('getScmContextHost', () => {
+        it('gets the host of an scmContext', () => {
+            assert.strictEqual(getScmContextHost('github:GHE.corp'), 'GHE.corp');
+        });
+    });
+});
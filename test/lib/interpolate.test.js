@@ -0,0 +1,86 @@
+'use strict';
+
+/* eslint-disable no-template-curly-in-string */
+
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { interpolate, redact } = require('../../lib/interpolate');
+
+describe('interpolate test', () => {
+    let tmpDir;
+    let secretFile;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scm-router-'));
+        secretFile = path.join(tmpDir, 'secret');
+        fs.writeFileSync(secretFile, 'file-secret\n');
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        process.env.SCM_ROUTER_TEST_SECRET = 'env-secret';
+    });
+
+    afterEach(() => {
+        delete process.env.SCM_ROUTER_TEST_SECRET;
+    });
+
+    describe('interpolate', () => {
+        it('resolves env and file references anywhere in the config', () => {
+            const secrets = new Set();
+            const config = {
+                oauthClientSecret: '${env:SCM_ROUTER_TEST_SECRET}',
+                readOnly: {
+                    accessToken: `token \${file:${secretFile}}`
+                },
+                hosts: ['${env:SCM_ROUTER_TEST_SECRET}.example.com'],
+                privateRepo: true,
+                template: '${other:value}'
+            };
+
+            assert.deepEqual(interpolate(config, secrets), {
+                oauthClientSecret: 'env-secret',
+                readOnly: {
+                    accessToken: 'token file-secret'
+                },
+                hosts: ['env-secret.example.com'],
+                privateRepo: true,
+                template: '${other:value}'
+            });
+            assert.deepEqual(Array.from(secrets), ['env-secret', 'file-secret']);
+            assert.strictEqual(config.oauthClientSecret, '${env:SCM_ROUTER_TEST_SECRET}');
+        });
+
+        it('throws an error naming the missing environment variable', () => {
+            assert.throws(
+                () => interpolate({ secret: '${env:SCM_ROUTER_TEST_DNE}' }, new Set(), 'github.config'),
+                Error,
+                'Environment variable SCM_ROUTER_TEST_DNE referenced by github.config.secret is not set'
+            );
+        });
+
+        it('throws an error naming the missing file', () => {
+            const missingFile = path.join(tmpDir, 'DNE');
+
+            assert.throws(
+                () => interpolate({ keys: [`\${file:${missingFile}}`] }, new Set()),
+                Error,
+                `File ${missingFile} referenced by config.keys[0] cannot be read: ENOENT`
+            );
+        });
+    });
+
+    describe('redact', () => {
+        it('replaces every secret in the message', () => {
+            assert.strictEqual(
+                redact('env-secret is not file-secret nor env-secret', new Set(['env-secret', 'file-secret'])),
+                '[REDACTED] is not [REDACTED] nor [REDACTED]'
+            );
+        });
+    });
+});
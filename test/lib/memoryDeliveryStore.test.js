@@ -0,0 +1,49 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const MemoryDeliveryStore = require('../../lib/memoryDeliveryStore');
+
+describe('memoryDeliveryStore test', () => {
+    let clock;
+    let store;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        store = new MemoryDeliveryStore({ maxSize: 2 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('reports deliveries seen within their ttl', async () => {
+        assert.isTrue(await store.add('delivery1', 1000));
+        assert.isFalse(await store.add('delivery1', 1000));
+
+        clock.tick(1000);
+
+        assert.isTrue(await store.add('delivery1', 1000));
+    });
+
+    it('evicts the least recently seen deliveries when full', async () => {
+        await store.add('delivery1', 1000);
+        await store.add('delivery2', 1000);
+        await store.add('delivery1', 1000);
+        await store.add('delivery3', 1000);
+
+        assert.deepEqual(Array.from(store.deliveries.keys()), ['delivery1', 'delivery3']);
+        assert.isTrue(await store.add('delivery2', 1000));
+    });
+
+    it('forgets deleted deliveries', async () => {
+        await store.add('delivery1', 1000);
+        await store.delete('delivery1');
+
+        assert.isTrue(await store.add('delivery1', 1000));
+    });
+
+    it('throws an error for an invalid maxSize', () => {
+        assert.throws(() => new MemoryDeliveryStore({ maxSize: 0 }), 'maxSize must be a positive integer');
+    });
+});
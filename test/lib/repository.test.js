@@ -0,0 +1,61 @@
+'use strict';
+
+const { assert } = require('chai');
+const { compileRepositoryPattern, getRepositoryId, getRepositoryName } = require('../../lib/repository');
+
+describe('repository test', () => {
+    describe('getRepositoryName', () => {
+        it('prefers the name of scmRepo', () => {
+            assert.strictEqual(
+                getRepositoryName({ scmRepo: { name: 'org/repo' }, checkoutUrl: 'git@github.com:other/repo.git' }),
+                'org/repo'
+            );
+        });
+
+        it('gets the name from ssh and https checkoutUrls', () => {
+            assert.strictEqual(getRepositoryName({ checkoutUrl: 'git@github.com:org/repo.git#main' }), 'org/repo');
+            assert.strictEqual(
+                getRepositoryName({ checkoutUrl: 'https://gitlab.corp:8443/group/sub/repo' }),
+                'group/sub/repo'
+            );
+        });
+
+        it('returns undefined without scmRepo or checkoutUrl', () => {
+            assert.isUndefined(getRepositoryName({ scmUri: 'github.com:12345:main' }));
+            assert.isUndefined(getRepositoryName(undefined));
+        });
+    });
+
+    describe('getRepositoryId', () => {
+        it('gets the repository id of the scmUri with its host', () => {
+            assert.strictEqual(getRepositoryId({ scmUri: 'github.com:12345:main' }), 'github.com:12345');
+            assert.strictEqual(getRepositoryId({ scmUri: 'github.com:12345:main:src/app' }), 'github.com:12345');
+        });
+
+        it('returns undefined without a valid scmUri', () => {
+            assert.isUndefined(getRepositoryId({ scmUri: 'github.com' }));
+            assert.isUndefined(getRepositoryId({ checkoutUrl: 'git@github.com:org/repo.git' }));
+            assert.isUndefined(getRepositoryId(undefined));
+        });
+    });
+
+    describe('compileRepositoryPattern', () => {
+        it('matches * within a path segment', () => {
+            const pattern = compileRepositoryPattern('bu-a/*');
+
+            assert.isTrue(pattern.test('bu-a/repo'));
+            assert.isTrue(pattern.test('BU-A/Repo'));
+            assert.isFalse(pattern.test('bu-a/sub/repo'));
+            assert.isFalse(pattern.test('bu-ab/repo'));
+        });
+
+        it('matches ** across path segments', () => {
+            assert.isTrue(compileRepositoryPattern('group/**').test('group/sub/repo'));
+        });
+
+        it('matches other characters literally', () => {
+            assert.isTrue(compileRepositoryPattern('org/my.repo').test('org/my.repo'));
+            assert.isFalse(compileRepositoryPattern('org/my.repo').test('org/myxrepo'));
+        });
+    });
+});
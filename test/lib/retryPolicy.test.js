@@ -0,0 +1,66 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const RetryPolicy = require('../../lib/retryPolicy');
+
+describe('retryPolicy test', () => {
+    let policy;
+
+    beforeEach(() => {
+        sinon.stub(Math, 'random').returns(0.5);
+        policy = new RetryPolicy({ retries: 3, minDelay: 100, maxDelay: 300 });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('doubles the backoff of each retry up to the maximum delay', () => {
+        assert.deepEqual(
+            [1, 2, 3, 4].map(attempt => policy.getDelay(attempt)),
+            [50, 100, 150, 150]
+        );
+    });
+
+    it('waits for the backoff', () => {
+        const clock = sinon.useFakeTimers();
+        const waiting = policy.wait(2);
+
+        clock.tick(100);
+        clock.restore();
+
+        return waiting;
+    });
+
+    it('stops waiting when the signal aborts', async () => {
+        const clock = sinon.useFakeTimers();
+        const controller = new AbortController();
+        const reason = new Error('deadline is over');
+        const waiting = policy.wait(3, controller.signal).catch(err => err);
+
+        await clock.tickAsync(50);
+        controller.abort(reason);
+
+        assert.strictEqual(await waiting, reason);
+        assert.strictEqual(clock.countTimers(), 0);
+        assert.strictEqual(await policy.wait(1, controller.signal).catch(err => err), reason);
+        clock.restore();
+    });
+
+    it('applies default options', () => {
+        assert.deepInclude(new RetryPolicy(), { retries: 2, minDelay: 100, maxDelay: 2000 });
+    });
+
+    it('throws an error for invalid options', () => {
+        assert.throws(() => new RetryPolicy({ retries: -1 }), 'retry.retries must be a non-negative integer');
+        assert.throws(
+            () => new RetryPolicy({ minDelay: 0 }),
+            'retry.minDelay must be a positive number of milliseconds'
+        );
+        assert.throws(
+            () => new RetryPolicy({ minDelay: 500, maxDelay: 200 }),
+            'retry.maxDelay must be a number of milliseconds not lower than retry.minDelay'
+        );
+    });
+});
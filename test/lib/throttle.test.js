@@ -0,0 +1,116 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const Throttle = require('../../lib/throttle');
+
+describe('throttle test', () => {
+    let clock;
+    let throttle;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        throttle = new Throttle({ concurrency: 2, minRemaining: 10 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('queues calls beyond the concurrency in order', async () => {
+        const order = [];
+        const releases = await Promise.all([throttle.acquire(), throttle.acquire()]);
+        const queued = [throttle.acquire(), throttle.acquire()].map((promise, i) =>
+            promise.then(release => {
+                order.push(i);
+
+                return release;
+            })
+        );
+
+        assert.include(throttle.stats(), { active: 2, queued: 2, maxQueued: 2 });
+
+        await clock.tickAsync(300);
+        releases[0]();
+        releases[0]();
+        await clock.tickAsync(100);
+        releases[1]();
+
+        (await Promise.all(queued)).forEach(release => release());
+
+        assert.deepEqual(order, [0, 1]);
+        assert.deepEqual(throttle.stats(), {
+            active: 0,
+            queued: 0,
+            maxQueued: 2,
+            waited: 2,
+            averageWait: 350,
+            maxWait: 400,
+            paced: 0,
+            rateLimit: undefined
+        });
+    });
+
+    it('leaves the queue when the signal aborts', async () => {
+        const controller = new AbortController();
+
+        await Promise.all([throttle.acquire(), throttle.acquire()]);
+
+        const queued = throttle.acquire(controller.signal);
+
+        controller.abort(new Error('timed out'));
+
+        await queued.then(
+            () => assert.fail('This should not fail the tests'),
+            err => assert.strictEqual(err.message, 'timed out')
+        );
+        assert.strictEqual(throttle.stats().queued, 0);
+    });
+
+    it('paces calls once the rate-limit budget runs low', async () => {
+        throttle.setRateLimit({ remaining: 11, resetAt: 60000 });
+
+        assert.strictEqual(throttle.getDelay(), 0);
+
+        throttle.setRateLimit({ remaining: 3, resetAt: 60000 });
+
+        assert.strictEqual(throttle.getDelay(), 15000);
+
+        const paced = throttle.pace();
+
+        await clock.tickAsync(15000);
+        await paced;
+
+        throttle.setRateLimit({ remaining: 0, resetAt: 60000 });
+
+        assert.strictEqual(throttle.getDelay(), 45000);
+        assert.include(throttle.stats(), { paced: 1 });
+        assert.deepEqual(throttle.stats().rateLimit, { remaining: 0, resetAt: '1970-01-01T00:01:00.000Z' });
+    });
+
+    it('spreads calls paced together', async () => {
+        throttle = new Throttle({ minRemaining: 5 });
+        throttle.setRateLimit({ remaining: 2, resetAt: 1000 });
+
+        const calledAt = [];
+
+        await Promise.all(
+            [0, 1, 2].map(() => throttle.pace().then(() => calledAt.push(Date.now()))).concat(clock.tickAsync(1002))
+        );
+
+        assert.deepEqual(calledAt, [334, 668, 1002]);
+        assert.include(throttle.stats(), { paced: 3 });
+    });
+
+    it('ignores rate limits without remaining budget', () => {
+        throttle.setRateLimit({ resetAt: 60000 });
+        throttle.setRateLimit(undefined);
+
+        assert.isUndefined(throttle.stats().rateLimit);
+    });
+
+    it('throws an error for invalid options', () => {
+        assert.throws(() => new Throttle({ concurrency: 0 }), 'throttle.concurrency must be a positive integer');
+        assert.throws(() => new Throttle({ minRemaining: -1 }), 'throttle.minRemaining must be a non-negative integer');
+    });
+});
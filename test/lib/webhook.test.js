@@ -0,0 +1,134 @@
+'use strict';
+
+const { assert } = require('chai');
+const {
+    getDeliveryId,
+    getHeader,
+    getWebhookHints,
+    isUnknownEvent,
+    matchesWebhookHints,
+    sanitizeHeaders
+} = require('../../lib/webhook');
+
+describe('webhook test', () => {
+    describe('getHeader', () => {
+        it('gets a header regardless of its case', () => {
+            assert.strictEqual(getHeader({ 'X-GitHub-Event': 'push' }, 'x-github-event'), 'push');
+            assert.strictEqual(getHeader({ 'x-github-event': ['push', 'ping'] }, 'x-github-event'), 'push');
+            assert.isUndefined(getHeader(undefined, 'x-github-event'));
+        });
+    });
+
+    describe('getWebhookHints', () => {
+        [
+            [
+                'github enterprise webhooks with their host',
+                { 'x-github-event': 'push', 'x-github-enterprise-host': 'GHE.corp' },
+                'github',
+                'push',
+                'ghe.corp'
+            ],
+            [
+                'gitea webhooks sent with github headers',
+                { 'x-gitea-event': 'push', 'x-github-event': 'push' },
+                'gitea',
+                'push',
+                undefined
+            ],
+            [
+                'gitlab webhooks with their instance',
+                { 'x-gitlab-event': 'Push Hook', 'x-gitlab-instance': 'https://gitlab.corp' },
+                'gitlab',
+                'Push Hook',
+                'gitlab.corp'
+            ],
+            ['bitbucket webhooks without host', { 'x-event-key': 'repo:push' }, 'bitbucket', 'repo:push', undefined],
+            ['nothing without webhook headers', { 'content-type': 'application/json' }, undefined, undefined, undefined]
+        ].forEach(([description, headers, type, event, hostname]) => {
+            it(`recognizes ${description}`, () => {
+                assert.deepEqual(getWebhookHints(headers), { type, event, hostname });
+            });
+        });
+
+        it('recognizes the host from additional headers', () => {
+            assert.deepEqual(getWebhookHints({ 'x-scm-host': 'bitbucket.corp:8443' }, ['X-Scm-Host']), {
+                type: undefined,
+                event: undefined,
+                hostname: 'bitbucket.corp'
+            });
+        });
+    });
+
+    describe('getDeliveryId', () => {
+        [
+            [
+                'the github delivery',
+                { 'X-GitHub-Delivery': '72d3162e-cc78-11e3-81ab-4c9367dc0958' },
+                '72d3162e-cc78-11e3-81ab-4c9367dc0958'
+            ],
+            [
+                'the gitlab event uuid',
+                { 'x-gitlab-event-uuid': '13792a34-cac6-4fda-95a8-c58e00a3954e' },
+                '13792a34-cac6-4fda-95a8-c58e00a3954e'
+            ],
+            [
+                'the bitbucket request uuid',
+                { 'x-request-uuid': 'afe3a4d1-5b6c-4c5e-9f5e-3c6e6e1c2f4b' },
+                'afe3a4d1-5b6c-4c5e-9f5e-3c6e6e1c2f4b'
+            ],
+            ['no delivery id without delivery header', { 'x-github-event': 'push' }, undefined]
+        ].forEach(([description, headers, deliveryId]) => {
+            it(`gets ${description}`, () => {
+                assert.strictEqual(getDeliveryId(headers), deliveryId);
+            });
+        });
+    });
+
+    describe('isUnknownEvent', () => {
+        const mapping = { '~pr': 'pull_request', '~commit': ['push', 'create'] };
+
+        it('detects events missing from the mapping', () => {
+            assert.isTrue(isUnknownEvent(mapping, 'ping'));
+            assert.isFalse(isUnknownEvent(mapping, 'pull_request'));
+            assert.isFalse(isUnknownEvent(mapping, 'create'));
+        });
+
+        it('does not know without an event or a mapping', () => {
+            assert.isFalse(isUnknownEvent(mapping, undefined));
+            assert.isFalse(isUnknownEvent(new Error('Not implemented'), 'ping'));
+            assert.isFalse(isUnknownEvent({}, 'ping'));
+        });
+    });
+
+    describe('matchesWebhookHints', () => {
+        it('matches the type and the hostname of the scmContext', () => {
+            assert.isTrue(matchesWebhookHints('github:GHE.corp', { type: 'github', hostname: 'ghe.corp' }));
+            assert.isTrue(matchesWebhookHints('github:ghe.corp', { type: 'github', hostname: undefined }));
+            assert.isTrue(matchesWebhookHints('gitlab:gitlab.corp', {}));
+            assert.isFalse(matchesWebhookHints('gitlab:gitlab.corp', { type: 'github', hostname: undefined }));
+            assert.isFalse(matchesWebhookHints('github:github.com', { type: 'github', hostname: 'ghe.corp' }));
+        });
+    });
+
+    describe('sanitizeHeaders', () => {
+        it('redacts the headers carrying credentials', () => {
+            assert.deepEqual(
+                sanitizeHeaders(
+                    {
+                        'X-Gitlab-Token': 'secret',
+                        authorization: 'Bearer token',
+                        'x-proxy-secret': 'secret',
+                        'x-hub-signature-256': 'sha256=abc'
+                    },
+                    ['X-Proxy-Secret']
+                ),
+                {
+                    'X-Gitlab-Token': '[REDACTED]',
+                    authorization: '[REDACTED]',
+                    'x-proxy-secret': '[REDACTED]',
+                    'x-hub-signature-256': 'sha256=abc'
+                }
+            );
+        });
+    });
+});
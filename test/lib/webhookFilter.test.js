@@ -0,0 +1,56 @@
+'use strict';
+
+const { assert } = require('chai');
+const { compileFilters, findFilter } = require('../../lib/webhookFilter');
+
+describe('webhookFilter test', () => {
+    const hook = {
+        type: 'repo',
+        action: 'push',
+        branch: 'dependabot/npm_and_yarn/joi-17.13.3',
+        checkoutUrl: 'git@github.com:screwdriver-cd/scm-router.git#main',
+        username: 'dependabot[bot]',
+        scmContext: 'github:github.com'
+    };
+
+    describe('findFilter', () => {
+        const filters = compileFilters([
+            { name: 'bots', username: '*[bot]', type: 'pr' },
+            { name: 'dependabot', branch: 'dependabot/**', repository: ['screwdriver-cd/*'] },
+            { name: 'ghe', scmContext: 'github:ghe.corp' },
+            { name: 'drafts', type: 'pr', draft: true }
+        ]);
+
+        it('finds the first rule matching on all its fields', () => {
+            assert.strictEqual(findFilter(filters, hook).name, 'dependabot');
+            assert.strictEqual(findFilter(filters, { ...hook, type: 'pr', action: 'opened' }).name, 'bots');
+        });
+
+        it('finds draft pull requests by their prDraft flag', () => {
+            const pr = { ...hook, type: 'pr', branch: 'main', username: 'octocat' };
+
+            assert.strictEqual(findFilter(filters, { ...pr, prDraft: true }).name, 'drafts');
+            assert.isUndefined(findFilter(filters, { ...pr, prDraft: false }));
+            assert.isUndefined(findFilter(filters, pr));
+        });
+
+        it('finds no rule when a field does not match', () => {
+            assert.isUndefined(findFilter(filters, { ...hook, branch: 'main' }));
+            assert.isUndefined(findFilter(filters, { ...hook, checkoutUrl: undefined }));
+        });
+    });
+
+    describe('compileFilters', () => {
+        [
+            ['not an array', { name: 'bots' }, 'webhooks.filters must be an array of rules'],
+            ['a rule without name', [{ username: '*[bot]' }], 'webhooks.filters[0] must have a name'],
+            ['an unknown field', [{ name: 'labels', label: 'wip' }], 'Filter labels has unknown fields: label'],
+            ['a rule without fields', [{ name: 'all' }], 'Filter all must have at least one of scmContext, type'],
+            ['an empty glob', [{ name: 'bots', username: [] }], 'username of filter bots must be a glob']
+        ].forEach(([description, filters, message]) => {
+            it(`throws an error for ${description}`, () => {
+                assert.throws(() => compileFilters(filters), message);
+            });
+        });
+    });
+});